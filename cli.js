@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+// Command line tool running the extension's cleanups outside of VS Code, for scripts and CI pipelines
+const readline = require('readline');
+const { parseArgs } = require('util');
+const {
+	configure,
+	createDirectoryWorkspace,
+	formatBytes,
+	CLEANUP_CATEGORIES,
+	resolveProfileCategories,
+	buildCleanupPlan,
+	measureCleanupPlan,
+	getManagedLocations,
+	findEssentialAndroidPackages,
+	listProcessCommandLines,
+	findLockingProcesses,
+	findLockedItems,
+	removeItems
+} = require('./core');
+
+// Version of the JSON output, increased when existing fields change meaning or are removed
+const OUTPUT_SCHEMA_VERSION = 1;
+
+// Exit codes the tool ends with
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_NOT_CONFIRMED = 3;
+
+const USAGE = `Usage: node cli.js <scan|plan|clean> [options]
+
+Commands:
+  scan    List what the retention rules would remove, per category
+  plan    List the items a clean with the same options would remove
+  clean   Remove the planned items, requires --yes when not run from a terminal
+
+Options:
+  -c, --category <name>   Category to clean, repeatable (${CLEANUP_CATEGORIES.join(', ')})
+      --keep <count>      Number of versions to keep per component
+      --max-age <days>    Only remove items not used or modified for this many days
+      --protect <glob>    Never remove items whose path or label match, repeatable
+  -w, --workspace <dir>   Folder whose projects are scanned for bin/obj and in-use versions, defaults to the current one
+      --json              Print JSON instead of text
+  -y, --yes               Remove without asking
+  -v, --verbose           Log scanning details to stderr
+  -h, --help              Show this help
+
+Exit codes: 0 success, 1 an item could not be removed or the run failed, 2 invalid usage, 3 clean not confirmed`;
+
+// Thrown for invalid command lines, ends the tool with EXIT_USAGE
+class UsageError extends Error {}
+
+// Helper function to parse a non-negative whole number option
+function parseCount(value, option) {
+	if (value === undefined) return undefined;
+	if (!/^\d+$/.test(value)) throw new UsageError(`--${option} expects a whole number, got "${value}"`);
+	return Number(value);
+}
+
+// Helper function to parse the command line into a command and cleanup options
+/**
+ * @param {string[]} argv Arguments after the script name
+ */
+function parseCommandLine(argv) {
+	let parsed;
+	try {
+		parsed = parseArgs({
+			args: argv,
+			allowPositionals: true,
+			options: {
+				category: { type: 'string', short: 'c', multiple: true },
+				keep: { type: 'string' },
+				'max-age': { type: 'string' },
+				protect: { type: 'string', multiple: true },
+				workspace: { type: 'string', short: 'w' },
+				json: { type: 'boolean' },
+				yes: { type: 'boolean', short: 'y' },
+				verbose: { type: 'boolean', short: 'v' },
+				help: { type: 'boolean', short: 'h' }
+			}
+		});
+	} catch (error) {
+		throw new UsageError(error.message);
+	}
+
+	const { values, positionals } = parsed;
+	if (values.help) return { help: true };
+	if (positionals.length !== 1 || !['scan', 'plan', 'clean'].includes(positionals[0])) {
+		throw new UsageError(positionals.length === 0 ? 'Missing command' : `Unknown command "${positionals.join(' ')}"`);
+	}
+
+	const categories = values.category || CLEANUP_CATEGORIES;
+	const unknown = categories.filter(category => !CLEANUP_CATEGORIES.includes(category));
+	if (unknown.length > 0) {
+		throw new UsageError(`Unknown category "${unknown.join('", "')}". Known categories: ${CLEANUP_CATEGORIES.join(', ')}`);
+	}
+
+	return {
+		command: positionals[0],
+		profile: {
+			name: 'command line',
+			categories,
+			keepCount: parseCount(values.keep, 'keep'),
+			maxAgeDays: parseCount(values['max-age'], 'max-age'),
+			protect: values.protect || []
+		},
+		workspace: values.workspace || process.cwd(),
+		json: Boolean(values.json),
+		yes: Boolean(values.yes),
+		verbose: Boolean(values.verbose)
+	};
+}
+
+// Helper function to describe a cleanup item for the JSON output
+function toOutputItem(item) {
+	return { category: item.category, label: item.label, path: item.path, sizeBytes: item.size };
+}
+
+// Helper function to ask for confirmation on the terminal
+function confirm(question) {
+	const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+	return new Promise(resolve => prompt.question(`${question} [y/N] `, answer => {
+		prompt.close();
+		resolve(/^y(es)?$/i.test(answer.trim()));
+	}));
+}
+
+// Helper function to skip the items the Android SDK needs and the items running programs may lock
+/**
+ * @param {import('./core').CleanupItem[]} items
+ * @param {import('./core').ManagedLocation[]} locations
+ * @returns {Promise<{ items: import('./core').CleanupItem[], skipped: import('./core').CleanupResult[] }>}
+ */
+async function excludeUnsafeItems(items, locations) {
+	/** @type {import('./core').CleanupResult[]} */
+	const skipped = findEssentialAndroidPackages(items).map(item => ({
+		item,
+		status: /** @type {const} */ ('skipped'),
+		reason: 'the Android SDK needs at least one command-line tools and platform-tools installation'
+	}));
+
+	let running = [];
+	try {
+		running = findLockingProcesses(await listProcessCommandLines());
+	} catch {
+		// Without a process list nothing is known to be locked
+	}
+	for (const [item, lockers] of findLockedItems(items, locations, running)) {
+		if (skipped.some(result => result.item === item)) continue;
+		skipped.push({ item, status: 'skipped', reason: `it may be in use by ${lockers.map(locker => locker.name).join(', ')}` });
+	}
+
+	return { items: items.filter(item => !skipped.some(result => result.item === item)), skipped };
+}
+
+// Runs the tool, resolving to its exit code
+/**
+ * @param {string[]} argv Arguments after the script name
+ * @param {{ stdout: { write: (text: string) => void }, stderr: { write: (text: string) => void } }} [output]
+ * @returns {Promise<number>}
+ */
+async function main(argv, output = process) {
+	const print = text => output.stdout.write(text + '\n');
+	const printError = text => output.stderr.write(text + '\n');
+
+	let options;
+	try {
+		options = parseCommandLine(argv);
+	} catch (error) {
+		if (!(error instanceof UsageError)) throw error;
+		printError(`${error.message}\n\n${USAGE}`);
+		return EXIT_USAGE;
+	}
+	if (options.help) {
+		print(USAGE);
+		return EXIT_OK;
+	}
+
+	configure({
+		workspace: createDirectoryWorkspace(options.workspace),
+		log: options.verbose ? printError : () => {}
+	});
+
+	try {
+		if (options.command === 'scan') {
+			const categories = [];
+			for (const category of resolveProfileCategories(options.profile)) {
+				const items = await buildCleanupPlan([category]);
+				const sizeBytes = await measureCleanupPlan(items);
+				categories.push({ category: category.category, sizeBytes, items });
+			}
+			const sizeBytes = categories.reduce((sum, entry) => sum + entry.sizeBytes, 0);
+
+			if (options.json) {
+				print(JSON.stringify({
+					schemaVersion: OUTPUT_SCHEMA_VERSION,
+					command: 'scan',
+					sizeBytes,
+					categories: categories.map(entry => ({ ...entry, items: entry.items.map(toOutputItem) }))
+				}, null, 2));
+			} else {
+				for (const entry of categories) {
+					print(`${entry.category}: ${entry.items.length} items, ${formatBytes(entry.sizeBytes)}`);
+					entry.items.forEach(item => print(`  ${formatBytes(item.size).padStart(10)}  ${item.path}`));
+				}
+				print(`Total: ${formatBytes(sizeBytes)}`);
+			}
+			return EXIT_OK;
+		}
+
+		const items = await buildCleanupPlan(resolveProfileCategories(options.profile));
+		const sizeBytes = await measureCleanupPlan(items);
+
+		if (options.command === 'plan') {
+			if (options.json) {
+				print(JSON.stringify({ schemaVersion: OUTPUT_SCHEMA_VERSION, command: 'plan', sizeBytes, items: items.map(toOutputItem) }, null, 2));
+			} else {
+				items.forEach(item => print(`${formatBytes(item.size).padStart(10)}  ${item.category}  ${item.path}`));
+				print(`Total: ${items.length} items, ${formatBytes(sizeBytes)}`);
+			}
+			return EXIT_OK;
+		}
+
+		if (items.length > 0 && !options.yes) {
+			const interactive = process.stdin.isTTY && !options.json;
+			if (!interactive || !await confirm(`Remove ${items.length} items, freeing ${formatBytes(sizeBytes)}?`)) {
+				printError(interactive ? 'Nothing was removed.' : 'Nothing was removed, pass --yes to remove the planned items.');
+				return EXIT_NOT_CONFIRMED;
+			}
+		}
+
+		const locations = await getManagedLocations();
+		const checked = await excludeUnsafeItems(items, locations);
+		const results = [
+			...checked.skipped,
+			...await removeItems(checked.items, locations.map(location => location.path))
+		];
+		const removed = results.filter(result => result.status === 'deleted');
+		const removedSize = removed.reduce((sum, result) => sum + result.item.size, 0);
+
+		if (options.json) {
+			print(JSON.stringify({
+				schemaVersion: OUTPUT_SCHEMA_VERSION,
+				command: 'clean',
+				removedCount: removed.length,
+				sizeBytes: removedSize,
+				results: results.map(({ item, status, reason }) => ({ ...toOutputItem(item), status, reason }))
+			}, null, 2));
+		} else {
+			for (const { item, status, reason } of results) {
+				print(`${status.padEnd(8)} ${item.path}${reason ? ` (${reason})` : ''}`);
+			}
+			print(`Removed ${removed.length} of ${items.length} items, freeing ${formatBytes(removedSize)}`);
+		}
+		return results.some(result => result.status === 'failed') ? EXIT_FAILED : EXIT_OK;
+	} catch (error) {
+		printError(`maui-devcleaner: ${error.message}`);
+		return EXIT_FAILED;
+	}
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2)).then(exitCode => {
+		process.exitCode = exitCode;
+	});
+}
+
+module.exports = {
+	main
+};
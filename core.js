@@ -0,0 +1,2641 @@
+// Scanning, cleaning and reporting logic shared by the extension and the maui-devcleaner command line tool.
+// Nothing in here may depend on vscode: editor specifics come in through the configured workspace.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+const execFileAsync = util.promisify(execFile);
+const xml2js = require('xml2js');
+/** @type {(xml: string) => Promise<any>} */
+const parseString = util.promisify(xml2js.parseString);
+
+/**
+ * @typedef {Object} CleanupWorkspace
+ * @property {string[]} folders Root folders of the workspace, may be empty
+ * @property {(baseFolder?: string) => Promise<string[]>} findProjectFiles C# and F# project files, honouring the bin/obj excludes
+ * @property {(fileName: string) => Promise<string[]>} findFiles Files with the given name anywhere in the workspace
+ * @property {(filePath: string) => string} asRelativePath
+ * @property {(name: string, defaultValue?: any) => any} getSetting Reads a mauiCleaner setting, without the prefix
+ */
+
+// Workspace and logger the core works against, see configure
+let workspace = null;
+let logger = null;
+
+// Helper function to set up the core for its host, the extension or the command line tool
+/**
+ * @param {{ workspace?: CleanupWorkspace, log?: (message: string) => void }} options
+ */
+function configure(options) {
+	if (options.workspace) workspace = options.workspace;
+	if (options.log) logger = options.log;
+}
+
+// Helper function to get the configured workspace, the current directory when none was configured
+/**
+ * @returns {CleanupWorkspace}
+ */
+function getWorkspace() {
+	if (!workspace) workspace = createDirectoryWorkspace(process.cwd());
+	return workspace;
+}
+
+// Helper function to write to the configured logger
+function log(message) {
+	if (logger) {
+		logger(message);
+	} else {
+		console.log(message);
+	}
+}
+
+// Thrown by folder size scans when their cancellation token is set
+class CancellationError extends Error {
+	constructor() {
+		super('Canceled');
+		this.name = 'CancellationError';
+	}
+}
+
+// Number of folders read in parallel while calculating a single folder size
+const SIZE_SCAN_CONCURRENCY = 8;
+
+// How long a calculated folder size is reused, as changes deep inside a folder do not touch its modification time
+const FOLDER_SIZE_CACHE_LIFETIME = 5 * 60 * 1000;
+
+// Folder sizes by path, dropped right away when the extension changes the folder itself
+const folderSizeCache = new Map();
+
+// Helper function to get folder size without blocking the extension host
+/**
+ * @param {string} folderPath
+ * @param {{ isCancellationRequested: boolean }} [token]
+ * @returns {Promise<number>}
+ */
+async function getFolderSize(folderPath, token) {
+	let stat;
+	try {
+		stat = await fs.promises.stat(folderPath);
+	} catch {
+		return 0;
+	}
+	if (!stat.isDirectory()) return stat.size;
+
+	const cached = folderSizeCache.get(folderPath);
+	if (cached && cached.mtimeMs === stat.mtimeMs && Date.now() - cached.calculatedAt < FOLDER_SIZE_CACHE_LIFETIME) {
+		return cached.size;
+	}
+
+	// A few workers share a stack of folders still to read, which keeps memory bounded on huge trees
+	const pendingFolders = [folderPath];
+	let activeWorkers = 0;
+	let size = 0;
+	const worker = async () => {
+		while (pendingFolders.length > 0 || activeWorkers > 0) {
+			if (token && token.isCancellationRequested) throw new CancellationError();
+
+			const currentFolder = pendingFolders.pop();
+			if (currentFolder === undefined) {
+				// Other workers may still discover sub-folders
+				await new Promise(resolve => setTimeout(resolve, 5));
+				continue;
+			}
+
+			activeWorkers++;
+			try {
+				const entries = await fs.promises.readdir(currentFolder, { withFileTypes: true });
+				for (const entry of entries) {
+					const entryPath = path.join(currentFolder, entry.name);
+					if (entry.isDirectory()) {
+						pendingFolders.push(entryPath);
+					} else if (entry.isFile()) {
+						const fileStat = await fs.promises.lstat(entryPath);
+						size += fileStat.size;
+					}
+				}
+			} catch (error) {
+				log(`Could not read ${currentFolder}: ${error.message}`);
+			} finally {
+				activeWorkers--;
+			}
+		}
+	};
+	await Promise.all(Array.from({ length: SIZE_SCAN_CONCURRENCY }, worker));
+
+	folderSizeCache.set(folderPath, { mtimeMs: stat.mtimeMs, calculatedAt: Date.now(), size });
+	return size;
+}
+
+// Helper function to forget cached sizes of a changed folder, its sub-folders and its parents
+function invalidateFolderSize(changedPath) {
+	for (const cachedPath of folderSizeCache.keys()) {
+		if (cachedPath === changedPath
+			|| cachedPath.startsWith(changedPath + path.sep)
+			|| changedPath.startsWith(cachedPath + path.sep)) {
+			folderSizeCache.delete(cachedPath);
+		}
+	}
+}
+
+// Helper function to format bytes
+function formatBytes(bytes) {
+	if (bytes === 0) return '0 Bytes';
+	const k = 1024;
+	const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+	const i = Math.floor(Math.log(bytes) / Math.log(k));
+	return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Helper function to recursively delete a folder or file
+/**
+ * @param {string} folderPath
+ * @param {HostEnvironment} [host]
+ */
+async function deleteFolderRecursive(folderPath, host = getHostEnvironment()) {
+	// On Windows, files briefly locked by antivirus or the indexer and read-only files need a few attempts
+	await fs.promises.rm(folderPath, {
+		recursive: true,
+		force: true,
+		maxRetries: host.platform === 'win32' ? 5 : 0,
+		retryDelay: 200
+	});
+}
+
+// API levels of Android preview platforms, which are installed under their codename
+const ANDROID_CODENAME_API_LEVELS = {
+	Q: 29,
+	R: 30,
+	S: 31,
+	Sv2: 32,
+	Tiramisu: 33,
+	UpsideDownCake: 34,
+	VanillaIceCream: 35,
+	Baklava: 36
+};
+
+/**
+ * @typedef {Object} ParsedVersion
+ * @property {string} group Versions are only ranked against others of the same group
+ * @property {number[]} numbers
+ * @property {(string|number)[]} prerelease Empty for stable versions
+ * @property {string} [build] Tie-breaker, such as an Xcode build number
+ */
+
+// Helper function to split a prerelease tag such as "preview.7.24405.7" or "rc1" into comparable identifiers
+function parsePrerelease(tag) {
+	if (!tag) return [];
+	return tag.split(/[.-]|(?<=\D)(?=\d)|(?<=\d)(?=\D)/)
+		.filter(Boolean)
+		.map(part => /^\d+$/.test(part) ? Number(part) : part.toLowerCase());
+}
+
+// Helper function to parse a dotted version such as "35.0.0-rc1" or "9.0.0-preview.7.24405.7"
+/**
+ * @param {string} text
+ * @returns {ParsedVersion}
+ */
+function parseDottedVersion(text) {
+	const match = text.match(/(\d+(?:\.\d+)*)(?:[-\s]?([0-9A-Za-z.-]*))?/);
+	if (!match) {
+		return { group: '', numbers: [], prerelease: parsePrerelease(text) };
+	}
+	return {
+		group: '',
+		numbers: match[1].split('.').map(Number),
+		prerelease: parsePrerelease(match[2])
+	};
+}
+
+// Helper function to parse a version folder name according to the naming scheme of its category
+/**
+ * @param {string} scheme 'ios-device-support', 'android-platforms', 'android-system-images', 'android-cmdline-tools' or any other for dotted versions
+ * @param {string} name Folder name, or path relative to the component for nested system images
+ * @returns {ParsedVersion}
+ */
+function parseVersion(scheme, name) {
+	switch (scheme) {
+		case 'ios-device-support': {
+			// "17.5 (21F79)", "iPhone15,2 17.5 (21F79)" or "16.4.1 (20E252) arm64e"
+			const match = name.match(/(\d+(?:\.\d+)*)\s*\(([^)]+)\)/);
+			if (!match) return { ...parseDottedVersion(name), group: '' };
+			return {
+				group: name.replace(match[0], ' ').replace(/\s+/g, ' ').trim(),
+				numbers: match[1].split('.').map(Number),
+				// Apple beta builds end with a lowercase letter, e.g. 21A5248v
+				prerelease: /[a-z]$/.test(match[2]) ? ['beta'] : [],
+				build: match[2]
+			};
+		}
+		case 'android-platforms':
+		case 'android-system-images': {
+			// "android-34", "android-34-ext8", "android-VanillaIceCream" or "android-34/google_apis/x86_64"
+			const [platform, ...rest] = name.split(/[\\/]/);
+			const group = rest.join('/');
+			const numeric = platform.match(/^android-(\d+)(?:-ext(\d+))?$/);
+			if (numeric) {
+				return { group, numbers: numeric[2] ? [Number(numeric[1]), Number(numeric[2])] : [Number(numeric[1])], prerelease: [] };
+			}
+			const codename = platform.replace(/^android-/, '');
+			return {
+				group,
+				numbers: codename in ANDROID_CODENAME_API_LEVELS ? [ANDROID_CODENAME_API_LEVELS[codename]] : [],
+				prerelease: ['preview', codename.toLowerCase()]
+			};
+		}
+		case 'android-cmdline-tools':
+			// "latest" is what sdkmanager installs by default and always the newest
+			if (name === 'latest') return { group: '', numbers: [Number.MAX_SAFE_INTEGER], prerelease: [] };
+			return parseDottedVersion(name);
+		default:
+			return parseDottedVersion(name);
+	}
+}
+
+// Helper function to compare two parsed versions, newest last
+/**
+ * @param {ParsedVersion} a
+ * @param {ParsedVersion} b
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+	for (let i = 0; i < Math.max(a.numbers.length, b.numbers.length); i++) {
+		const difference = (a.numbers[i] || 0) - (b.numbers[i] || 0);
+		if (difference !== 0) return difference;
+	}
+
+	// A stable release ranks above any prerelease of the same version
+	if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+		const difference = b.prerelease.length - a.prerelease.length;
+		if (difference !== 0) return difference;
+	}
+	for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+		const partA = a.prerelease[i];
+		const partB = b.prerelease[i];
+		if (partA === partB) continue;
+		if (partA === undefined) return -1;
+		if (partB === undefined) return 1;
+		if (typeof partA === 'number' && typeof partB === 'number') return partA - partB;
+		if (typeof partA === 'number') return -1;
+		if (typeof partB === 'number') return 1;
+		return partA < partB ? -1 : 1;
+	}
+
+	return (a.build || '').localeCompare(b.build || '', undefined, { numeric: true });
+}
+
+/**
+ * @typedef {Object} RetentionPolicy
+ * @property {number} keepCount Number of newest versions kept per group
+ * @property {boolean} keepLatestPatchPerMajor Also keep the newest version of every major version
+ * @property {boolean} keepNewestStable Always keep the newest stable version, even when newer previews are kept
+ */
+
+// Helper function to read the retention settings
+/**
+ * @returns {RetentionPolicy}
+ */
+function getRetentionPolicy() {
+	const { getSetting } = getWorkspace();
+	return {
+		keepCount: Math.max(0, getSetting('retention.keepCount', 1)),
+		keepLatestPatchPerMajor: getSetting('retention.keepLatestPatchPerMajor', false),
+		keepNewestStable: getSetting('retention.keepNewestStable', true)
+	};
+}
+
+// Helper function to select which versions a retention policy removes
+/**
+ * @template {{ version: string }} T
+ * @param {T[]} versions
+ * @param {string} scheme Version naming scheme, see parseVersion
+ * @param {RetentionPolicy} [policy]
+ * @returns {T[]}
+ */
+function selectVersionsToRemove(versions, scheme, policy = getRetentionPolicy()) {
+	const groups = new Map();
+	for (const version of versions) {
+		const parsed = parseVersion(scheme, version.version);
+		if (!groups.has(parsed.group)) groups.set(parsed.group, []);
+		groups.get(parsed.group).push({ version, parsed });
+	}
+
+	const toRemove = [];
+	for (const entries of groups.values()) {
+		// Newest first
+		entries.sort((a, b) => compareVersions(b.parsed, a.parsed));
+
+		const kept = new Set(entries.slice(0, policy.keepCount));
+		if (policy.keepNewestStable) {
+			const newestStable = entries.find(entry => entry.parsed.prerelease.length === 0);
+			if (newestStable) kept.add(newestStable);
+		}
+		if (policy.keepLatestPatchPerMajor) {
+			const seenMajors = new Set();
+			for (const entry of entries) {
+				const major = entry.parsed.numbers[0];
+				if (!seenMajors.has(major)) {
+					seenMajors.add(major);
+					kept.add(entry);
+				}
+			}
+		}
+
+		toRemove.push(...entries.filter(entry => !kept.has(entry)).map(entry => entry.version));
+	}
+	return toRemove;
+}
+
+// Helper function to list the installed versions of an Android SDK component, relative to the component folder
+function listAndroidComponentVersions(component, componentPath) {
+	return component.path === 'system-images'
+		? listSystemImages(componentPath)
+		: listSubfolders(componentPath);
+}
+
+// Helper function to list installed system images as "android-34/google_apis/x86_64" paths
+function listSystemImages(systemImagesPath) {
+	const images = [];
+	for (const platform of listSubfolders(systemImagesPath)) {
+		for (const tag of listSubfolders(path.join(systemImagesPath, platform))) {
+			const abis = listSubfolders(path.join(systemImagesPath, platform, tag));
+			for (const abi of abis) {
+				images.push([platform, tag, abi].join('/'));
+			}
+		}
+	}
+	return images;
+}
+
+// Folders that never hold projects worth cleaning
+const DEFAULT_PROJECT_EXCLUDES = ['**/node_modules/**', '**/.git/**'];
+
+// Helper function to check whether a project file is an SDK-style project
+function isSdkStyleProject(projectFile) {
+	try {
+		const content = fs.readFileSync(projectFile, 'utf8');
+		return /<Project[^>]*\sSdk\s*=/i.test(content) || /<(Sdk|Import)\s[^>]*\bSdk\s*=/i.test(content);
+	} catch {
+		return false;
+	}
+}
+
+// Helper function to find every SDK-style project in the open workspace, or only below a folder of it
+/**
+ * @param {string} [baseFolder]
+ * @returns {Promise<string[]>}
+ */
+async function findWorkspaceProjects(baseFolder) {
+	const projectFiles = await getWorkspace().findProjectFiles(baseFolder);
+	return projectFiles.filter(isSdkStyleProject);
+}
+
+// Helper function to find the Directory.Build.props MSBuild would import for a project
+function findDirectoryBuildProps(projectDir) {
+	let currentDir = projectDir;
+	while (true) {
+		const propsPath = path.join(currentDir, 'Directory.Build.props');
+		if (fs.existsSync(propsPath)) {
+			return propsPath;
+		}
+		const parentDir = path.dirname(currentDir);
+		if (parentDir === currentDir) {
+			return null;
+		}
+		currentDir = parentDir;
+	}
+}
+
+// Helper function to expand $(Property) references, returning null if any stay unresolved
+function expandMsBuildProperties(value, properties) {
+	const expanded = value.replace(/\$\(([^)]+)\)/g, (match, name) =>
+		name in properties ? properties[name] : match);
+	return expanded.includes('$(') ? null : expanded;
+}
+
+// Helper function to evaluate simple '$(A)' == 'b' conditions; anything more complex is treated as false
+function evaluateMsBuildCondition(condition, properties) {
+	if (!condition) return true;
+	const match = condition.match(/^\s*'([^']*)'\s*(==|!=)\s*'([^']*)'\s*$/);
+	if (!match) return false;
+
+	// Undefined properties expand to an empty string in MSBuild
+	const expand = value => value.replace(/\$\(([^)]+)\)/g, (_, name) => properties[name] || '');
+	const equal = expand(match[1]).toLowerCase() === expand(match[3]).toLowerCase();
+	return match[2] === '==' ? equal : !equal;
+}
+
+// Helper function to evaluate the property groups of an MSBuild file on top of the given properties
+async function evaluateMsBuildProperties(filePath, properties) {
+	const scope = { ...properties, MSBuildThisFileDirectory: path.dirname(filePath) + path.sep };
+	try {
+		const result = await parseString(fs.readFileSync(filePath, 'utf8'));
+		const propertyGroups = (result.Project && result.Project.PropertyGroup) || [];
+		for (const group of propertyGroups) {
+			if (!evaluateMsBuildCondition(group.$ && group.$.Condition, scope)) continue;
+			for (const [name, values] of Object.entries(group)) {
+				if (name === '$' || !Array.isArray(values)) continue;
+				const element = values[0];
+				const value = typeof element === 'string' ? element : element && element._;
+				const condition = typeof element === 'object' && element.$ ? element.$.Condition : undefined;
+				if (typeof value !== 'string' || !evaluateMsBuildCondition(condition, scope)) continue;
+
+				const expanded = expandMsBuildProperties(value.trim(), scope);
+				if (expanded !== null) scope[name] = expanded;
+			}
+		}
+	} catch (error) {
+		log(`Could not read MSBuild properties from ${filePath}: ${error.message}`);
+	}
+	delete scope.MSBuildThisFileDirectory;
+	return scope;
+}
+
+// Helper function to resolve the bin/obj folders that belong to a project
+async function getProjectOutputFolders(projectFile) {
+	const projectDir = path.dirname(projectFile);
+	let properties = {
+		MSBuildProjectDirectory: projectDir,
+		MSBuildProjectName: path.basename(projectFile, path.extname(projectFile))
+	};
+
+	// BaseIntermediateOutputPath is only honoured when set before the SDK props, i.e. in Directory.Build.props
+	const propsFile = findDirectoryBuildProps(projectDir);
+	if (propsFile) {
+		properties = await evaluateMsBuildProperties(propsFile, properties);
+	}
+	const projectProperties = await evaluateMsBuildProperties(projectFile, properties);
+
+	return [projectProperties.BaseOutputPath || 'bin', properties.BaseIntermediateOutputPath || 'obj']
+		.map(folder => path.resolve(projectDir, folder.replace(/[\\/]/g, path.sep)))
+		// Never hand out the project folder itself or anything above it
+		.filter(folder => folder !== projectDir && !projectDir.startsWith(folder + path.sep));
+}
+
+// Helper function to compare paths the way the file system does, case-insensitively on Windows and macOS
+function normalizeForComparison(folderPath, platform) {
+	const resolved = path.resolve(folderPath);
+	return platform === 'win32' || platform === 'darwin' ? resolved.toLowerCase() : resolved;
+}
+
+// Helper function to check whether a path is strictly inside a folder
+function isInsideFolder(childPath, folderPath, platform = getHostEnvironment().platform) {
+	const relative = path.relative(normalizeForComparison(folderPath, platform), normalizeForComparison(childPath, platform));
+	return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Helper function to list the folders no cleanup may remove or contain, wherever they are
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {string[]}
+ */
+function getProtectedFolders(host = getHostEnvironment()) {
+	const { platform, env, homeDir } = host;
+	const folders = [homeDir];
+	if (platform === 'win32') {
+		folders.push(env.SystemRoot, env.ProgramFiles, env['ProgramFiles(x86)'], env.LOCALAPPDATA, env.APPDATA);
+	} else {
+		folders.push('/System', '/System/Library', '/Library', '/Applications', '/Users', '/home', '/usr', '/usr/local', '/usr/share', '/usr/lib', '/opt', '/etc', '/var');
+	}
+	return folders.filter(Boolean);
+}
+
+/**
+ * @typedef {Object} ManagedLocation
+ * @property {'binObj' | 'nugetPackages' | 'androidSdk' | 'androidEmulators' | 'iosDeviceSupport' | 'iosSimulatorRuntimes' | 'dotnet' | 'xamarin'} category
+ * @property {string} path Symlinks resolved
+ */
+
+// Helper function to list the existing locations the cleaners remove items from
+/**
+ * @returns {Promise<ManagedLocation[]>}
+ */
+async function getManagedLocations() {
+	/** @type {ManagedLocation[]} */
+	const locations = [
+		...getWorkspace().folders.map(folder => ({ category: /** @type {const} */ ('binObj'), path: folder })),
+		{ category: 'nugetPackages', path: await resolveNugetPackagesPath() },
+		...(await getAndroidSdkLocations()).map(location => ({ category: /** @type {const} */ ('androidSdk'), path: location.path })),
+		{ category: 'androidEmulators', path: getAndroidAvdHome() },
+		{ category: 'iosDeviceSupport', path: getIosDeviceSupportPath() },
+		{ category: 'iosSimulatorRuntimes', path: IOS_SIMULATOR_RUNTIME_PATH },
+		...getDotnetRoots().map(dotnetRoot => ({ category: /** @type {const} */ ('dotnet'), path: dotnetRoot })),
+		...getLegacyXamarinLocations().map(location => ({ category: /** @type {const} */ ('xamarin'), path: location.path }))
+	];
+	return keepExistingLocations(locations).map(location => ({ ...location, path: fs.realpathSync(location.path) }));
+}
+
+// Helper function to tell why a target must not be deleted
+/**
+ * @param {string} resolvedPath Target with symlinks resolved
+ * @param {string[]} allowedRoots
+ * @param {HostEnvironment} [host]
+ * @returns {string | null} The reason, or null when the target may be deleted
+ */
+function getDeletionRefusal(resolvedPath, allowedRoots, host = getHostEnvironment()) {
+	const target = normalizeForComparison(resolvedPath, host.platform);
+	if (path.parse(target).root === target) {
+		return 'it is a drive or file system root';
+	}
+	const protectedFolder = getProtectedFolders(host).find(folder =>
+		normalizeForComparison(folder, host.platform) === target || isInsideFolder(folder, target, host.platform));
+	if (protectedFolder) {
+		return `it is or contains ${protectedFolder}`;
+	}
+	if (!allowedRoots.some(root => isInsideFolder(target, root, host.platform))) {
+		return 'it is outside the locations MAUI Cleaner manages';
+	}
+	return null;
+}
+
+// Processes that hold files open in the managed locations, by the location categories they lock
+const LOCKING_PROCESSES = [
+	{ name: 'MSBuild', pattern: /(^|[\\/\s"])MSBuild(\.exe|\.dll)?("|\s|$)/i, categories: ['binObj', 'nugetPackages', 'dotnet', 'xamarin'], buildServer: true },
+	{ name: 'VBCSCompiler', pattern: /(^|[\\/\s"])VBCSCompiler(\.exe|\.dll)?("|\s|$)/i, categories: ['binObj', 'dotnet'], buildServer: true },
+	{ name: 'dotnet', pattern: /(^|[\\/\s"])dotnet(\.exe)?"?\s+(build|run|test|watch|publish|restore|pack)(\s|$)/i, categories: ['binObj', 'nugetPackages', 'dotnet'] },
+	{ name: 'Android Emulator', pattern: /(^|[\\/"])(qemu-system-[\w-]+|emulator)(\.exe)?("|\s|$)/i, categories: ['androidSdk', 'androidEmulators'] },
+	{ name: 'adb', pattern: /(^|[\\/"])adb(\.exe)?("|\s|$)/i, categories: ['androidSdk'], folders: ['platform-tools'] },
+	{ name: 'Visual Studio', pattern: /(^|[\\/"])devenv\.exe|Visual Studio[^/]*\.app\/Contents\/MacOS\//i, categories: ['binObj', 'nugetPackages', 'dotnet', 'xamarin'] },
+	{ name: 'Mono', pattern: /(^|[\\/"])mono(-sgen)?(64)?("|\s|$)/i, categories: ['xamarin'] },
+	{ name: 'Rider', pattern: /(^|[\\/"])rider(64)?(\.exe|\.sh)?("|\s|$)|Rider[^/]*\.app\/Contents\/MacOS\//i, categories: ['binObj', 'nugetPackages', 'dotnet'] }
+];
+
+// Helper function to list the command lines of the running processes
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {Promise<string[]>}
+ */
+async function listProcessCommandLines(host = getHostEnvironment()) {
+	if (host.platform === 'win32') {
+		// Protected processes have no command line, their image name is the best there is
+		const { stdout } = await execFileAsync('powershell.exe', [
+			'-NoProfile', '-NonInteractive', '-Command',
+			'Get-CimInstance Win32_Process | ForEach-Object { if ($_.CommandLine) { $_.CommandLine } else { $_.Name } }'
+		], { maxBuffer: 16 * 1024 * 1024 });
+		return stdout.split(/\r?\n/).filter(Boolean);
+	}
+	const { stdout } = await execFileAsync('ps', ['-A', '-ww', '-o', 'args='], { maxBuffer: 16 * 1024 * 1024 });
+	return stdout.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * @typedef {Object} RunningLocker
+ * @property {string} name
+ * @property {string[]} categories Managed location categories the program may hold files in
+ * @property {string[]} [folders] Folders of those locations it holds files in, when not the whole location
+ * @property {boolean} buildServer Whether dotnet build-server shutdown stops it
+ * @property {number} count
+ */
+
+// Helper function to find which of the locking processes appear in a list of command lines
+/**
+ * @param {string[]} commandLines
+ * @returns {RunningLocker[]}
+ */
+function findLockingProcesses(commandLines) {
+	return LOCKING_PROCESSES
+		.map(rule => ({
+			name: rule.name,
+			categories: rule.categories,
+			folders: rule.folders,
+			buildServer: Boolean(rule.buildServer),
+			count: commandLines.filter(commandLine => rule.pattern.test(commandLine)).length
+		}))
+		.filter(running => running.count > 0);
+}
+
+/**
+ * @typedef {Object} CleanupResult
+ * @property {CleanupItem} item
+ * @property {'deleted' | 'skipped' | 'failed'} status
+ * @property {string} [reason] Why the item was skipped or could not be removed
+ */
+
+// Location of the iOS Simulator runtime assets (macOS only)
+const IOS_SIMULATOR_RUNTIME_PATH = '/System/Library/AssetsV2/com_apple_MobileAsset_iOSSimulatorRuntime';
+
+// Helper function to read the package.xml the SDK manager keeps in every installed Android package
+/**
+ * @param {string} sdkRoot
+ * @param {string} packagePath
+ * @returns {Promise<{ id: string, displayName?: string, revision?: string }>} id is the sdkmanager path, such as "system-images;android-34;google_apis;x86_64"
+ */
+async function readAndroidPackage(sdkRoot, packagePath) {
+	const fallback = { id: path.relative(sdkRoot, packagePath).split(path.sep).join(';') };
+	const packageXmlPath = path.join(packagePath, 'package.xml');
+	if (!fs.existsSync(packageXmlPath)) return fallback;
+
+	try {
+		// The root element carries a namespace prefix that differs between SDK manager versions
+		const result = await parseString(fs.readFileSync(packageXmlPath, 'utf8'));
+		const localPackage = Object.values(result)[0].localPackage[0];
+		const revision = localPackage.revision && localPackage.revision[0];
+		const revisionText = revision && ['major', 'minor', 'micro']
+			.map(part => revision[part] && revision[part][0])
+			.filter(part => part !== undefined && part !== '')
+			.join('.');
+		return {
+			id: localPackage.$.path || fallback.id,
+			displayName: localPackage['display-name'] && localPackage['display-name'][0],
+			revision: revisionText && revision.preview ? `${revisionText} rc${revision.preview[0]}` : revisionText
+		};
+	} catch (error) {
+		log(`Could not read ${packageXmlPath}: ${error.message}`);
+		return fallback;
+	}
+}
+
+// Helper function to find the sdkmanager of an Android SDK, newest command-line tools first
+/**
+ * @param {string} sdkRoot
+ * @param {HostEnvironment} [host]
+ * @returns {string | null}
+ */
+function findSdkManager(sdkRoot, host = getHostEnvironment()) {
+	const executable = host.platform === 'win32' ? 'sdkmanager.bat' : 'sdkmanager';
+	const cmdlineToolsPath = path.join(sdkRoot, 'cmdline-tools');
+	const versions = listSubfolders(cmdlineToolsPath).sort((a, b) =>
+		compareVersions(parseVersion('android-cmdline-tools', b), parseVersion('android-cmdline-tools', a)));
+	return [
+		...versions.map(version => path.join(cmdlineToolsPath, version, 'bin', executable)),
+		path.join(sdkRoot, 'tools', 'bin', executable)
+	].find(candidate => fs.existsSync(candidate));
+}
+
+// Time sdkmanager gets to uninstall a package before the folder is deleted instead
+const SDK_MANAGER_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Helper function to quote an argument for cmd.exe, which batch files such as sdkmanager.bat need to run
+function quoteForCmd(argument) {
+	return `"${argument.replace(/"/g, '""')}"`;
+}
+
+// Helper function to uninstall an Android package through sdkmanager
+/**
+ * @param {{ sdkRoot: string, id: string }} androidPackage
+ * @param {string} packagePath
+ * @param {HostEnvironment} [host]
+ * @param {number} [timeout] Milliseconds before sdkmanager is stopped
+ * @returns {Promise<boolean>} Whether the package is gone
+ */
+async function uninstallAndroidPackage(androidPackage, packagePath, host = getHostEnvironment(), timeout = SDK_MANAGER_TIMEOUT_MS) {
+	const sdkManager = findSdkManager(androidPackage.sdkRoot, host);
+	if (!sdkManager) return false;
+	const args = ['--uninstall', androidPackage.id, `--sdk_root=${androidPackage.sdkRoot}`];
+	try {
+		if (host.platform === 'win32') {
+			// The same command line Node.js builds for shell: true, with every argument quoted
+			const commandLine = [sdkManager, ...args].map(quoteForCmd).join(' ');
+			await execFileAsync(host.env.ComSpec || 'cmd.exe', ['/d', '/s', '/c', `"${commandLine}"`], { timeout, windowsVerbatimArguments: true });
+		} else {
+			await execFileAsync(sdkManager, args, { timeout });
+		}
+	} catch (error) {
+		// Usually a missing Java runtime, the caller falls back to deleting the folder
+		log(error.killed
+			? `sdkmanager did not uninstall ${androidPackage.id} within ${timeout / 1000} seconds`
+			: `sdkmanager could not uninstall ${androidPackage.id}: ${error.message}`);
+	}
+	return !fs.existsSync(packagePath);
+}
+
+// Helper function to find removals that would leave an Android SDK without command-line tools or platform-tools
+/**
+ * @param {CleanupItem[]} items
+ * @returns {CleanupItem[]} The items that must be kept
+ */
+function findEssentialAndroidPackages(items) {
+	const refused = new Set(items.filter(item => ['platform-tools', 'cmdline-tools'].includes(path.basename(item.path))));
+
+	// Removing every installed version of the command-line tools keeps the newest one
+	const cmdlineToolsFolders = new Set(items
+		.map(item => path.dirname(item.path))
+		.filter(folder => path.basename(folder) === 'cmdline-tools'));
+	for (const folder of cmdlineToolsFolders) {
+		const removed = items.filter(item => path.dirname(item.path) === folder);
+		const removedVersions = new Set(removed.map(item => path.basename(item.path)));
+		if (listSubfolders(folder).every(version => removedVersions.has(version))) {
+			const [newest] = [...removed].sort((a, b) => compareVersions(
+				parseVersion('android-cmdline-tools', path.basename(b.path)),
+				parseVersion('android-cmdline-tools', path.basename(a.path))));
+			refused.add(newest);
+		}
+	}
+	return [...refused];
+}
+
+// Android SDK components the cleaners know about
+const ANDROID_SDK_COMPONENTS = [
+	{ name: 'System Images', path: 'system-images', versionScheme: 'android-system-images' },
+	{ name: 'Platforms', path: 'platforms', versionScheme: 'android-platforms' },
+	{ name: 'Build Tools', path: 'build-tools', versionScheme: 'android-build-tools' },
+	{ name: 'Command-line Tools', path: 'cmdline-tools', versionScheme: 'android-cmdline-tools' }
+];
+
+// Helper function to read which simulator runtime assets are currently installed
+async function getUsedSimulatorRuntimes() {
+	const usedRuntimes = new Set();
+	const xmlPath = path.join(IOS_SIMULATOR_RUNTIME_PATH, 'com_apple_MobileAsset_iOSSimulatorRuntime.xml');
+	if (!fs.existsSync(xmlPath)) return usedRuntimes;
+
+	const result = await parseString(fs.readFileSync(xmlPath, 'utf8'));
+	if (result.assets && result.assets.asset) {
+		result.assets.asset.forEach(asset => {
+			if (asset.$.state === 'installed') {
+				usedRuntimes.add(asset.$.assetId);
+			}
+		});
+	}
+	return usedRuntimes;
+}
+
+/**
+ * @typedef {Object} HostEnvironment
+ * @property {string} platform Same values as process.platform
+ * @property {Object<string, string | undefined>} env
+ * @property {string} homeDir
+ */
+
+// Helper function to describe the machine the toolchain locations are resolved for
+/**
+ * @returns {HostEnvironment}
+ */
+function getHostEnvironment() {
+	return { platform: process.platform, env: process.env, homeDir: os.homedir() };
+}
+
+// Helper function to list the folders .NET may be installed in, environment overrides first
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {string[]}
+ */
+function getDotnetRootCandidates(host = getHostEnvironment()) {
+	const { platform, env, homeDir } = host;
+	const candidates = [env.DOTNET_ROOT];
+	if (platform === 'win32') {
+		candidates.push(
+			env.ProgramFiles && path.join(env.ProgramFiles, 'dotnet'),
+			env['ProgramFiles(x86)'] && path.join(env['ProgramFiles(x86)'], 'dotnet'),
+			// Default of dotnet-install.ps1
+			env.LOCALAPPDATA && path.join(env.LOCALAPPDATA, 'Microsoft', 'dotnet')
+		);
+	} else if (platform === 'darwin') {
+		candidates.push('/usr/local/share/dotnet', path.join(homeDir, '.dotnet'));
+	} else {
+		// dotnet-install.sh, the Microsoft packages, then distro packages (lib64 on Fedora and RHEL)
+		candidates.push(path.join(homeDir, '.dotnet'), '/usr/share/dotnet', '/usr/lib/dotnet', '/usr/lib64/dotnet', '/usr/local/share/dotnet');
+	}
+	return candidates.filter(Boolean);
+}
+
+// Helper function to list the default Android SDK folders of Android Studio, Xamarin and Visual Studio
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {AndroidSdkLocation[]}
+ */
+function getAndroidSdkDefaults(host = getHostEnvironment()) {
+	const { platform, env, homeDir } = host;
+	if (platform === 'win32') {
+		return [
+			env.LOCALAPPDATA && { path: path.join(env.LOCALAPPDATA, 'Android', 'Sdk'), source: 'Android Studio default' },
+			env.LOCALAPPDATA && { path: path.join(env.LOCALAPPDATA, 'Android', 'android-sdk'), source: 'Xamarin default' },
+			env['ProgramFiles(x86)'] && { path: path.join(env['ProgramFiles(x86)'], 'Android', 'android-sdk'), source: 'Visual Studio default' }
+		].filter(Boolean);
+	}
+	if (platform === 'darwin') {
+		return [
+			{ path: path.join(homeDir, 'Library', 'Android', 'sdk'), source: 'Android Studio default' },
+			{ path: path.join(homeDir, 'Library', 'Developer', 'Xamarin', 'android-sdk-macosx'), source: 'Xamarin default' }
+		];
+	}
+	return [{ path: path.join(homeDir, 'Android', 'Sdk'), source: 'Android Studio default' }];
+}
+
+// Helper function to get the folder the Android emulator keeps its virtual devices in
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {string}
+ */
+function getAndroidAvdHome(host = getHostEnvironment()) {
+	const { env, homeDir } = host;
+	if (env.ANDROID_AVD_HOME) return env.ANDROID_AVD_HOME;
+	const userHome = env.ANDROID_USER_HOME || env.ANDROID_EMULATOR_HOME;
+	if (userHome) return path.join(userHome, 'avd');
+	return path.join(homeDir, '.android', 'avd');
+}
+
+// Helper function to get the NuGet global packages folder
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {string}
+ */
+function getNugetPackagesPath(host = getHostEnvironment()) {
+	return host.env.NUGET_PACKAGES || path.join(host.homeDir, '.nuget', 'packages');
+}
+
+// Helper function to get the user-wide NuGet.Config file
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {string}
+ */
+function getNugetUserConfigPath(host = getHostEnvironment()) {
+	return host.platform === 'win32'
+		? path.join(host.env.APPDATA || path.join(host.homeDir, 'AppData', 'Roaming'), 'NuGet', 'NuGet.Config')
+		: path.join(host.homeDir, '.nuget', 'NuGet', 'NuGet.Config');
+}
+
+// Helper function to get the iOS Device Support folder (macOS only)
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {string}
+ */
+function getIosDeviceSupportPath(host = getHostEnvironment()) {
+	return path.join(host.homeDir, 'Library', 'Developer', 'Xcode', 'iOS DeviceSupport');
+}
+
+// Helper function to keep the existing folders of a list, each folder only once even when reached through links
+/**
+ * @template {string | { path: string }} T
+ * @param {T[]} candidates
+ * @returns {T[]}
+ */
+function keepExistingLocations(candidates) {
+	const seenPaths = new Set();
+	return candidates.filter(candidate => {
+		const candidatePath = typeof candidate === 'string' ? candidate : candidate.path;
+		if (!fs.existsSync(candidatePath)) return false;
+		const realPath = fs.realpathSync(candidatePath);
+		if (seenPaths.has(realPath)) return false;
+		seenPaths.add(realPath);
+		return true;
+	});
+}
+
+// Helper function to find every .NET installation on the machine
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {string[]}
+ */
+function getDotnetRoots(host = getHostEnvironment()) {
+	return keepExistingLocations(getDotnetRootCandidates(host));
+}
+
+/**
+ * @typedef {Object} AndroidSdkLocation
+ * @property {string} path
+ * @property {string} source Where the location came from, such as "ANDROID_HOME"
+ */
+
+// Helper function to list the places an Android SDK may be installed in, most specific first
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {Promise<AndroidSdkLocation[]>}
+ */
+async function getAndroidSdkCandidates(host = getHostEnvironment()) {
+	/** @type {AndroidSdkLocation[]} */
+	const candidates = [];
+	const add = (sdkPath, source) => {
+		if (sdkPath) candidates.push({ path: sdkPath, source });
+	};
+
+	add(getWorkspace().getSetting('androidSdkPath'), 'mauiCleaner.androidSdkPath setting');
+	add(host.env.ANDROID_HOME, 'ANDROID_HOME');
+	add(host.env.ANDROID_SDK_ROOT, 'ANDROID_SDK_ROOT');
+	for (const { projectFile, properties } of await evaluateWorkspaceProjects()) {
+		if (properties.AndroidSdkDirectory) {
+			add(path.resolve(path.dirname(projectFile), properties.AndroidSdkDirectory), `AndroidSdkDirectory in ${path.basename(projectFile)}`);
+		}
+	}
+
+	candidates.push(...getAndroidSdkDefaults(host));
+	return candidates;
+}
+
+// Helper function to find every installed Android SDK, most specific first
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {Promise<AndroidSdkLocation[]>}
+ */
+async function getAndroidSdkLocations(host = getHostEnvironment()) {
+	// The same SDK is often found through several sources
+	return keepExistingLocations(await getAndroidSdkCandidates(host));
+}
+
+// Helper function to read a key=value file such as an AVD's config.ini
+function readIniFile(filePath) {
+	const values = {};
+	if (!fs.existsSync(filePath)) return values;
+	for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+		const separator = line.indexOf('=');
+		if (separator > 0 && !line.startsWith('#')) {
+			values[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+		}
+	}
+	return values;
+}
+
+// Files holding the user data of an AVD, recreated on the next cold boot
+const AVD_USER_DATA_FILES = ['userdata-qemu.img', 'userdata-qemu.img.qcow2', 'cache.img', 'cache.img.qcow2'];
+
+/**
+ * @typedef {Object} AndroidAvd
+ * @property {string} name
+ * @property {string} displayName
+ * @property {string} iniPath The <name>.ini file pointing to the AVD folder
+ * @property {string} path The <name>.avd folder
+ * @property {string} [systemImage] Referenced system image as "android-34/google_apis/x86_64"
+ * @property {Date} [lastUsed]
+ * @property {boolean} isRunning
+ */
+
+// Helper function to check whether a command line is an emulator running an AVD, started as "-avd <name>" or "@<name>"
+/**
+ * @param {string} commandLine
+ * @param {string} avdName
+ */
+function isEmulatorRunningAvd(commandLine, avdName) {
+	const emulator = LOCKING_PROCESSES.find(rule => rule.name === 'Android Emulator');
+	const escapedName = avdName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	return emulator.pattern.test(commandLine)
+		&& new RegExp(`(^|\\s)(-avd\\s+|@)"?${escapedName}"?(\\s|$)`).test(commandLine);
+}
+
+// Helper function to read every AVD registered in the AVD home folder
+/**
+ * @param {string[]} [commandLines] Running processes, see listProcessCommandLines. Without them, lock files alone mark an AVD as running
+ * @param {HostEnvironment} [host]
+ * @returns {AndroidAvd[]}
+ */
+function readAndroidAvds(commandLines, host = getHostEnvironment()) {
+	const avdHome = getAndroidAvdHome(host);
+	if (!fs.existsSync(avdHome)) return [];
+
+	/** @type {AndroidAvd[]} */
+	const avds = [];
+	for (const iniFile of fs.readdirSync(avdHome).filter(item => item.endsWith('.ini'))) {
+		const iniPath = path.join(avdHome, iniFile);
+		const ini = readIniFile(iniPath);
+		const avdPath = ini.path && fs.existsSync(ini.path)
+			? ini.path
+			: path.join(path.dirname(avdHome), ini['path.rel'] || path.join('avd', iniFile.replace(/\.ini$/, '.avd')));
+		const config = readIniFile(path.join(avdPath, 'config.ini'));
+
+		// image.sysdir.1 looks like "system-images/android-34/google_apis/x86_64/"
+		const sysdir = config['image.sysdir.1'];
+		const systemImage = sysdir
+			? sysdir.replace(/\\/g, '/').replace(/^system-images\//, '').replace(/\/+$/, '')
+			: undefined;
+
+		// The emulator rewrites some files on every start and holds lock files while running
+		let lastUsed;
+		let hasLock = false;
+		if (fs.existsSync(avdPath)) {
+			for (const item of fs.readdirSync(avdPath)) {
+				if (item.endsWith('.lock')) hasLock = true;
+				const { mtime } = fs.statSync(path.join(avdPath, item));
+				if (!lastUsed || mtime > lastUsed) lastUsed = mtime;
+			}
+		}
+
+		const name = iniFile.replace(/\.ini$/, '');
+		// A crashed emulator leaves its lock files behind, so a lock only counts while an emulator runs the AVD
+		const isRunning = hasLock && (!commandLines || commandLines.some(commandLine => isEmulatorRunningAvd(commandLine, name)));
+		avds.push({
+			name,
+			displayName: config['avd.ini.displayname'] || name,
+			iniPath,
+			path: avdPath,
+			systemImage,
+			lastUsed,
+			isRunning
+		});
+	}
+	return avds;
+}
+
+// Helper function to read the globalPackagesFolder setting of a NuGet.Config file
+/**
+ * @param {string} configPath
+ * @returns {Promise<string | undefined>} Absolute folder path
+ */
+async function readNugetGlobalPackagesFolder(configPath) {
+	try {
+		const config = await parseString(fs.readFileSync(configPath, 'utf8'));
+		const sections = (config.configuration && config.configuration.config) || [];
+		for (const section of sections) {
+			const setting = (section.add || []).find(add => add.$ && add.$.key === 'globalPackagesFolder');
+			// Relative folders are relative to the NuGet.Config file
+			if (setting) return path.resolve(path.dirname(configPath), setting.$.value);
+		}
+	} catch (error) {
+		log(`Could not read ${configPath}: ${error.message}`);
+	}
+	return undefined;
+}
+
+// Helper function to find the NuGet global packages folder the way NuGet does
+/**
+ * @returns {Promise<string>}
+ */
+async function resolveNugetPackagesPath() {
+	const host = getHostEnvironment();
+	if (host.env.NUGET_PACKAGES) return host.env.NUGET_PACKAGES;
+
+	// NuGet.Config files closest to the solution win, the user-wide file comes last
+	const configFiles = [];
+	for (const folder of getWorkspace().folders) {
+		let currentDir = folder;
+		while (true) {
+			const configFile = fs.existsSync(currentDir)
+				? fs.readdirSync(currentDir).find(item => item.toLowerCase() === 'nuget.config')
+				: undefined;
+			if (configFile) configFiles.push(path.join(currentDir, configFile));
+			const parentDir = path.dirname(currentDir);
+			if (parentDir === currentDir) break;
+			currentDir = parentDir;
+		}
+	}
+	configFiles.push(getNugetUserConfigPath(host));
+
+	for (const configFile of configFiles.filter(file => fs.existsSync(file))) {
+		const globalPackagesFolder = await readNugetGlobalPackagesFolder(configFile);
+		if (globalPackagesFolder) return globalPackagesFolder;
+	}
+	return getNugetPackagesPath(host);
+}
+
+// Helper function to collect the package versions restored for the projects in the workspace
+/**
+ * @returns {Promise<Set<string> | null>} Lower-case "id/version" keys, null when no project in the workspace has been restored
+ */
+async function getWorkspaceNugetReferences() {
+	const assetsFiles = await getWorkspace().findFiles('project.assets.json');
+	if (assetsFiles.length === 0) return null;
+
+	const references = new Set();
+	for (const assetsFile of assetsFiles) {
+		try {
+			const assets = JSON.parse(fs.readFileSync(assetsFile, 'utf8'));
+			for (const [key, library] of Object.entries(assets.libraries || {})) {
+				if (library.type === 'package') references.add(key.toLowerCase());
+			}
+		} catch (error) {
+			log(`Could not read ${assetsFile}: ${error.message}`);
+		}
+	}
+	return references;
+}
+
+// Helper function to tell when a package version in the global packages folder was last used
+/**
+ * @param {string} versionPath
+ * @returns {Date}
+ */
+function getNugetPackageLastUsed(versionPath) {
+	// Restore touches .nupkg.metadata when the SDK updates package access times, otherwise it is the install time
+	const metadataPath = path.join(versionPath, '.nupkg.metadata');
+	const { atime, mtime } = fs.statSync(fs.existsSync(metadataPath) ? metadataPath : versionPath);
+	return atime > mtime ? atime : mtime;
+}
+
+// Helper function to tell whether a failed command failed because its program is not installed
+function isCommandNotFound(error) {
+	return error.code === 127 || error.code === 'ENOENT'
+		|| /command not found|is not recognized as an internal or external command/i.test(`${error.message} ${error.stderr || ''}`);
+}
+
+// Helper function to get the options of dotnet nuget locals calls
+function getNugetLocalsOptions() {
+	// Run from the workspace so that its NuGet.Config redirections apply
+	const [workspaceFolder] = getWorkspace().folders;
+	return workspaceFolder ? { cwd: workspaceFolder } : {};
+}
+
+// Helper function to read the output of dotnet nuget locals all --list
+/**
+ * @param {string} stdout
+ * @returns {{ name: string, path: string }[]}
+ */
+function parseNugetLocals(stdout) {
+	const locals = [];
+	for (const line of stdout.split(/\r?\n/)) {
+		// Older SDKs prefix every line with "info : "
+		const match = line.match(/^(?:info\s*:\s*)?([a-z-]+):\s*(.+)$/i);
+		if (match) locals.push({ name: match[1], path: match[2].trim() });
+	}
+	return locals;
+}
+
+// Helper function to list the NuGet local caches with their actual locations
+/**
+ * @returns {Promise<{ name: string, path: string }[]>} Such as global-packages, http-cache, temp and plugins-cache
+ */
+async function listNugetLocals() {
+	const { stdout } = await execFileAsync('dotnet', ['nuget', 'locals', 'all', '--list'], getNugetLocalsOptions());
+	return parseNugetLocals(stdout);
+}
+
+// Helper function to clear a NuGet local cache the way dotnet does, from the same folder it was listed from
+/**
+ * @param {string} name Cache name as listed by listNugetLocals
+ */
+async function clearNugetLocal(name) {
+	await execFileAsync('dotnet', ['nuget', 'locals', name, '--clear'], getNugetLocalsOptions());
+}
+
+// Helper function to get the packs folders of every .NET installation
+function getDotnetPacksPaths() {
+	return getDotnetRoots()
+		.map(dotnetRoot => path.join(dotnetRoot, 'packs'))
+		.filter(packsPath => fs.existsSync(packsPath));
+}
+
+// Platforms of target frameworks such as net9.0-ios, as they appear in workload pack names
+const WORKLOAD_PLATFORMS = ['android', 'ios', 'maccatalyst', 'macos', 'tvos'];
+
+// Helper function to get the SDK feature band of an SDK version, e.g. 9.0.203 -> 9.0.200
+function getSdkFeatureBand(sdkVersion) {
+	const match = sdkVersion.match(/^(\d+)\.(\d+)\.(\d+)/);
+	if (!match) return null;
+	return `${match[1]}.${match[2]}.${Math.floor(Number(match[3]) / 100) * 100}`;
+}
+
+// Helper function to read the SDK versions pinned by global.json files in the workspace
+async function getWorkspaceSdkPins() {
+	const pins = [];
+	for (const globalJsonFile of await getWorkspace().findFiles('global.json')) {
+		try {
+			const globalJson = JSON.parse(fs.readFileSync(globalJsonFile, 'utf8'));
+			if (globalJson.sdk && globalJson.sdk.version) {
+				pins.push({ file: globalJsonFile, version: globalJson.sdk.version });
+			}
+		} catch (error) {
+			log(`Could not read ${globalJsonFile}: ${error.message}`);
+		}
+	}
+	return pins;
+}
+
+// Helper function to evaluate the properties of every project in the workspace, including Directory.Build.props
+/**
+ * @returns {Promise<{ projectFile: string, properties: Object<string, string> }[]>}
+ */
+async function evaluateWorkspaceProjects() {
+	if (getWorkspace().folders.length === 0) return [];
+	const projects = [];
+	for (const projectFile of await findWorkspaceProjects()) {
+		let properties = {
+			MSBuildProjectDirectory: path.dirname(projectFile),
+			MSBuildProjectName: path.basename(projectFile, path.extname(projectFile))
+		};
+		const propsFile = findDirectoryBuildProps(path.dirname(projectFile));
+		if (propsFile) {
+			properties = await evaluateMsBuildProperties(propsFile, properties);
+		}
+		properties = await evaluateMsBuildProperties(projectFile, properties);
+		projects.push({ projectFile, properties });
+	}
+	return projects;
+}
+
+// Helper function to read the target frameworks of every project in the workspace
+async function getWorkspaceTargetFrameworks() {
+	const targetFrameworks = new Set();
+	for (const { properties } of await evaluateWorkspaceProjects()) {
+		const value = properties.TargetFrameworks || properties.TargetFramework || '';
+		value.split(';')
+			.map(targetFramework => targetFramework.trim().toLowerCase())
+			.filter(Boolean)
+			.forEach(targetFramework => targetFrameworks.add(targetFramework));
+	}
+	return [...targetFrameworks];
+}
+
+// Helper function to read the packs listed by the workload manifests of an SDK feature band
+/**
+ * @param {string} band SDK feature band such as 9.0.200
+ * @param {string[]} [dotnetRoots] .NET installations whose sdk-manifests are read
+ * @returns {Map<string, Set<string>>} Pack folder name to the versions the manifests list
+ */
+function readWorkloadManifestPacks(band, dotnetRoots = getDotnetRoots()) {
+	/** @type {Map<string, Set<string>>} */
+	const packs = new Map();
+	const addPack = (packName, version) => {
+		if (!packs.has(packName)) packs.set(packName, new Set());
+		packs.get(packName).add(version);
+	};
+
+	for (const dotnetRoot of dotnetRoots) {
+		// Preview bands are named like 9.0.100-rc.1, so look at every folder of the band
+		const manifestsRoot = path.join(dotnetRoot, 'sdk-manifests');
+		const bandFolders = listSubfolders(manifestsRoot)
+			.filter(folder => folder === band || folder.startsWith(`${band}-`));
+		for (const bandFolder of bandFolders) {
+			for (const manifestFolder of listSubfolders(path.join(manifestsRoot, bandFolder))) {
+				const manifestPath = path.join(manifestsRoot, bandFolder, manifestFolder);
+				// Workload sets keep each manifest version in its own sub-folder
+				const manifestFiles = [manifestPath, ...listSubfolders(manifestPath).map(version => path.join(manifestPath, version))]
+					.map(folder => path.join(folder, 'WorkloadManifest.json'))
+					.filter(file => fs.existsSync(file));
+
+				for (const manifestFile of manifestFiles) {
+					try {
+						const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+						for (const [packId, pack] of Object.entries(manifest.packs || {})) {
+							// Packs with per-OS aliases are installed under the alias name
+							const names = pack['alias-to'] ? Object.values(pack['alias-to']) : [packId];
+							names.forEach(name => addPack(name, pack.version));
+						}
+					} catch (error) {
+						log(`Could not read ${manifestFile}: ${error.message}`);
+					}
+				}
+			}
+		}
+	}
+	return packs;
+}
+
+// Helper function to work out which pack versions the projects in the workspace still build against
+/**
+ * @returns {Promise<Map<string, Set<string>>>} Lower-case pack folder name to required version folders
+ */
+async function getWorkspaceRequiredPacks() {
+	/** @type {Map<string, Set<string>>} */
+	const required = new Map();
+	const targetFrameworks = await getWorkspaceTargetFrameworks();
+	if (targetFrameworks.length === 0) return required;
+
+	// global.json pins decide the SDK band, otherwise the newest installed SDK is used
+	let sdkVersions = (await getWorkspaceSdkPins()).map(pin => pin.version);
+	if (sdkVersions.length === 0) {
+		const installedSdks = getDotnetRoots()
+			.flatMap(dotnetRoot => listSubfolders(path.join(dotnetRoot, 'sdk')))
+			.filter(version => /^\d/.test(version))
+			.sort((a, b) => compareVersions(parseVersion('dotnet-sdk', a), parseVersion('dotnet-sdk', b)));
+		sdkVersions = installedSdks.slice(-1);
+	}
+
+	const platforms = WORKLOAD_PLATFORMS.filter(platform =>
+		targetFrameworks.some(targetFramework => new RegExp(`^net[\\d.]+-${platform}`).test(targetFramework)));
+	for (const band of new Set(sdkVersions.map(getSdkFeatureBand).filter(Boolean))) {
+		for (const [packName, versions] of readWorkloadManifestPacks(band)) {
+			const lowerName = packName.toLowerCase();
+			const isUsed = platforms.some(platform => lowerName.includes(platform))
+				|| (platforms.length > 0 && lowerName.startsWith('microsoft.maui.'));
+			if (!isUsed) continue;
+			if (!required.has(lowerName)) required.set(lowerName, new Set());
+			versions.forEach(version => required.get(lowerName).add(version));
+		}
+	}
+
+	// Targeting packs such as Microsoft.NETCore.App.Ref: the newest version of each targeted major is used
+	const majors = new Set(targetFrameworks
+		.map(targetFramework => targetFramework.match(/^net(\d+)\.\d+/))
+		.filter(Boolean)
+		.map(match => Number(match[1])));
+	for (const packsPath of getDotnetPacksPaths()) {
+		for (const packName of listSubfolders(packsPath).filter(pack => pack.endsWith('.Ref'))) {
+			const versions = listSubfolders(path.join(packsPath, packName))
+				.map(version => ({ version, parsed: parseVersion('dotnet-packs', version) }))
+				.filter(({ parsed }) => majors.has(parsed.numbers[0]))
+				.sort((a, b) => compareVersions(b.parsed, a.parsed));
+			for (const major of majors) {
+				const newest = versions.find(({ parsed }) => parsed.numbers[0] === major);
+				if (!newest) continue;
+				const lowerName = packName.toLowerCase();
+				if (!required.has(lowerName)) required.set(lowerName, new Set());
+				required.get(lowerName).add(newest.version);
+			}
+		}
+	}
+
+	return required;
+}
+
+// Helper function to check whether a pack version is required by the workspace
+/**
+ * @param {Map<string, Set<string>>} requiredPacks
+ * @param {string} packName
+ * @param {string} version
+ */
+function isPackVersionRequired(requiredPacks, packName, version) {
+	const versions = requiredPacks.get(packName.toLowerCase());
+	return Boolean(versions && versions.has(version));
+}
+
+// Helper function to check whether automatic cleanups should leave workspace packs alone
+function isWorkspacePackProtectionEnabled() {
+	return getWorkspace().getSetting('protectWorkspacePacks', true);
+}
+
+// Folders of a .NET installation that collect a version with every SDK or runtime installed, next to packs
+const DOTNET_INSTALL_COMPONENTS = [
+	{ name: '.NET SDKs', path: 'sdk', useRetention: true },
+	{ name: 'Workload Manifests', path: 'sdk-manifests' },
+	{ name: 'Host FXR', path: path.join('host', 'fxr'), useRetention: true },
+	{ name: 'Template Packs', path: 'template-packs', hasFiles: true },
+	{ name: 'Library Packs', path: 'library-packs', hasFiles: true }
+];
+
+// Helper function to list the installed components of a .NET installation, with a component per shared runtime
+function getDotnetInstallComponents(dotnetRoot) {
+	const sharedPath = path.join(dotnetRoot, 'shared');
+	return [
+		...DOTNET_INSTALL_COMPONENTS.map(component => ({ ...component, path: path.join(dotnetRoot, component.path) })),
+		...listSubfolders(sharedPath).map(runtime => ({ name: runtime, path: path.join(sharedPath, runtime), useRetention: true, hasFiles: false }))
+	].filter(component => fs.existsSync(component.path));
+}
+
+// Helper function to list the versions of a .NET installation component
+/**
+ * @param {{ path: string, hasFiles?: boolean }} component
+ * @returns {{ name: string, version: string }[]}
+ */
+function listDotnetComponentVersions(component) {
+	if (component.hasFiles) {
+		// Package files such as microsoft.dotnet.common.itemtemplates.9.0.100.nupkg
+		return fs.readdirSync(component.path)
+			.map(name => ({ name, match: name.match(/\.(\d+\.\d+\.\d+(?:-[0-9A-Za-z.]+)?)\.nupkg$/i) }))
+			.filter(({ match }) => match)
+			.map(({ name, match }) => ({ name, version: match[1] }));
+	}
+	// Skip folders such as NuGetFallbackFolder that older SDKs install next to their versions
+	return listSubfolders(component.path)
+		.filter(name => /^\d/.test(name))
+		.map(name => ({ name, version: name }));
+}
+
+// Helper function to tell why global.json pins keep a version of a .NET installation component
+/**
+ * @param {string} componentName
+ * @param {string} version
+ * @param {Set<string>} pinnedSdks SDK versions pinned in the workspace, see getWorkspaceSdkPins
+ * @returns {string | undefined}
+ */
+function getDotnetPinNote(componentName, version, pinnedSdks) {
+	if (componentName === '.NET SDKs' && pinnedSdks.has(version)) {
+		return 'Pinned by global.json';
+	}
+	const pinnedBands = new Set([...pinnedSdks].map(getSdkFeatureBand).filter(Boolean));
+	if (componentName === 'Workload Manifests' && pinnedBands.has(getSdkFeatureBand(version))) {
+		return 'Band of an SDK pinned by global.json';
+	}
+	return undefined;
+}
+
+// Folder the Xamarin and Mono frameworks were installed to on macOS
+const MACOS_FRAMEWORKS_PATH = '/Library/Frameworks';
+
+// Entries of the Xamarin data folder that .NET for Android still uses
+const XAMARIN_DATA_IN_USE = {
+	'Mono for Android': 'Holds the debug.keystore that .NET for Android still signs debug builds with'
+};
+
+/**
+ * @typedef {Object} LegacyXamarinLocation
+ * @property {string} name
+ * @property {string} description What the location holds, shown next to its items
+ * @property {string} path Folder whose entries are the removable items
+ */
+
+// Helper function to list the folders the Xamarin toolchain left behind on this kind of machine
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {LegacyXamarinLocation[]}
+ */
+function getLegacyXamarinLocations(host = getHostEnvironment()) {
+	const { platform, env, homeDir } = host;
+	const locations = [];
+	if (platform === 'win32') {
+		if (env.LOCALAPPDATA) {
+			locations.push(
+				{ name: 'XamarinBuildDownload cache', description: 'Native libraries such as Firebase and Google Play services downloaded by Xamarin.Build.Download', path: path.join(env.LOCALAPPDATA, 'XamarinBuildDownloadCache') },
+				{ name: 'Xamarin data', description: 'Xamarin.Android build caches and downloads', path: path.join(env.LOCALAPPDATA, 'Xamarin') }
+			);
+		}
+		return locations;
+	}
+
+	locations.push({ name: 'Xamarin data', description: 'Xamarin.Android build caches and downloads', path: path.join(homeDir, '.local', 'share', 'Xamarin') });
+	if (platform === 'darwin') {
+		locations.push({ name: 'XamarinBuildDownload cache', description: 'Native libraries such as Firebase and Google Play services downloaded by Xamarin.Build.Download', path: path.join(homeDir, 'Library', 'Caches', 'XamarinBuildDownload') });
+		for (const framework of listSubfolders(MACOS_FRAMEWORKS_PATH).filter(name => /^(Xamarin\..+|Mono)\.framework$/.test(name))) {
+			const name = framework.replace(/\.framework$/, '');
+			locations.push({
+				name,
+				description: name === 'Mono'
+					? 'Mono runtime that Xamarin, Visual Studio for Mac and the old MSBuild ran on'
+					: `${name} SDK of the retired Xamarin toolchain, replaced by the .NET workloads`,
+				path: path.join(MACOS_FRAMEWORKS_PATH, framework, 'Versions')
+			});
+		}
+	}
+	return locations;
+}
+
+/**
+ * @typedef {CleanupItem & { description: string, caution?: string }} LegacyXamarinItem
+ */
+
+// Helper function to list the removable entries of the legacy Xamarin locations
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {LegacyXamarinItem[]}
+ */
+function listLegacyXamarinItems(host = getHostEnvironment()) {
+	const items = [];
+	for (const location of keepExistingLocations(getLegacyXamarinLocations(host))) {
+		const isVersions = path.basename(location.path) === 'Versions';
+		// Framework versions have a Current link to the active one, which is left to the framework
+		const currentVersion = isVersions && fs.existsSync(path.join(location.path, 'Current'))
+			? path.basename(fs.realpathSync(path.join(location.path, 'Current')))
+			: null;
+
+		for (const entry of fs.readdirSync(location.path, { withFileTypes: true })) {
+			if (entry.isSymbolicLink() || entry.name === '.DS_Store') continue;
+			let caution;
+			if (location.name === 'Xamarin data' && XAMARIN_DATA_IN_USE[entry.name]) {
+				caution = XAMARIN_DATA_IN_USE[entry.name];
+			} else if (location.name === 'Mono' && entry.name === currentVersion) {
+				caution = 'Active Mono version, tools other than Xamarin may still run on it';
+			}
+			items.push({
+				category: location.name,
+				label: isVersions ? `${location.name} ${entry.name}` : entry.name,
+				path: path.join(location.path, entry.name),
+				description: location.description,
+				caution
+			});
+		}
+	}
+	return items;
+}
+
+// Helper function to check whether a project still builds with the Xamarin toolchain rather than the .NET SDK
+function isLegacyXamarinProject(projectFile) {
+	if (isSdkStyleProject(projectFile)) return false;
+	try {
+		return /<Import\s[^>]*Project\s*=\s*"[^"]*Xamarin\.[^"]*"/i.test(fs.readFileSync(projectFile, 'utf8'));
+	} catch {
+		return false;
+	}
+}
+
+// Helper function to find the workspace projects that still build with the Xamarin toolchain
+/**
+ * @returns {Promise<string[]>}
+ */
+async function findLegacyXamarinProjects() {
+	return (await getWorkspace().findProjectFiles()).filter(isLegacyXamarinProject);
+}
+
+// Helper function to collect the existing output folders of projects, each folder only once
+/**
+ * @param {string[]} projectFiles
+ * @returns {Promise<CleanupItem[]>}
+ */
+async function collectBinObjPlan(projectFiles) {
+	const seenFolders = new Set();
+	/** @type {CleanupItem[]} */
+	const plan = [];
+	for (const projectFile of projectFiles) {
+		const folders = (await getProjectOutputFolders(projectFile))
+			.filter(folder => !seenFolders.has(folder) && fs.existsSync(folder));
+		if (folders.length === 0) continue;
+		folders.forEach(folder => seenFolders.add(folder));
+
+		const category = `${path.basename(projectFile)} (${getWorkspace().asRelativePath(path.dirname(projectFile))})`;
+		for (const folder of folders) {
+			plan.push({ category, label: path.basename(folder), path: folder });
+		}
+	}
+	return plan;
+}
+
+// Helper function to list the C# and F# projects of a solution, .sln or .slnx
+/**
+ * @param {string} solutionFile
+ * @returns {Promise<string[]>}
+ */
+async function readSolutionProjects(solutionFile) {
+	const content = fs.readFileSync(solutionFile, 'utf8');
+	const projectPaths = [];
+	if (path.extname(solutionFile).toLowerCase() === '.slnx') {
+		// Projects may be nested in solution folders to any depth
+		const collectProjects = node => {
+			(node.Project || []).forEach(project => project.$ && project.$.Path && projectPaths.push(project.$.Path));
+			(node.Folder || []).forEach(collectProjects);
+		};
+		const result = await parseString(content);
+		collectProjects(result.Solution || {});
+	} else {
+		// Project("{type GUID}") = "Name", "relative\path\Name.csproj", "{project GUID}"
+		for (const match of content.matchAll(/^Project\("[^"]*"\)\s*=\s*"[^"]*",\s*"([^"]+)"/gm)) {
+			projectPaths.push(match[1]);
+		}
+	}
+	return projectPaths
+		.filter(projectPath => /\.(cs|fs)proj$/i.test(projectPath))
+		.map(projectPath => path.resolve(path.dirname(solutionFile), projectPath.replace(/[\\/]/g, path.sep)))
+		.filter(projectFile => fs.existsSync(projectFile));
+}
+
+// Helper function to find the projects an Explorer selection stands for: a folder, a project or a solution
+/**
+ * @param {string} targetPath
+ * @returns {Promise<string[]>}
+ */
+async function findProjectsAt(targetPath) {
+	if (fs.statSync(targetPath).isDirectory()) return findWorkspaceProjects(targetPath);
+	if (/\.slnx?$/i.test(targetPath)) return readSolutionProjects(targetPath);
+	return [targetPath];
+}
+
+// Names of the per-platform intermediate folders below obj, such as obj/Debug/net9.0-android/android
+const PLATFORM_INTERMEDIATE_PATTERN = /^(android|iossimulator-.+)$/i;
+
+// Helper function to find the Android and iOS simulator intermediates below an output folder
+/**
+ * @param {string} outputFolder
+ * @param {number} [depth] Folder levels left to look into, configuration and target framework by default
+ * @returns {string[]}
+ */
+function findPlatformIntermediates(outputFolder, depth = 3) {
+	const found = [];
+	for (const folder of listSubfolders(outputFolder)) {
+		const folderPath = path.join(outputFolder, folder);
+		if (PLATFORM_INTERMEDIATE_PATTERN.test(folder)) {
+			found.push(folderPath);
+		} else if (depth > 1) {
+			found.push(...findPlatformIntermediates(folderPath, depth - 1));
+		}
+	}
+	return found;
+}
+
+// Helper function to collect what a deep clean removes: bin/obj, platform intermediates and IDE caches
+/**
+ * @param {string[]} projectFiles
+ * @param {string} targetPath The selected folder, project or solution
+ * @returns {Promise<CleanupItem[]>}
+ */
+async function collectDeepCleanPlan(projectFiles, targetPath) {
+	const plan = await collectBinObjPlan(projectFiles);
+	for (const item of [...plan]) {
+		for (const intermediate of findPlatformIntermediates(item.path)) {
+			plan.push({ category: item.category, label: path.relative(path.dirname(item.path), intermediate), path: intermediate });
+		}
+	}
+
+	// Visual Studio keeps .vs next to the solution, Rider keeps .idea there
+	const targetFolder = fs.statSync(targetPath).isDirectory() ? targetPath : path.dirname(targetPath);
+	const folders = [...new Set([targetFolder, ...projectFiles.map(projectFile => path.dirname(projectFile))])];
+	for (const folder of folders) {
+		for (const cache of ['.vs', '.idea']) {
+			const cachePath = path.join(folder, cache);
+			if (fs.existsSync(cachePath)) {
+				plan.push({ category: 'IDE caches', label: getWorkspace().asRelativePath(cachePath), path: cachePath });
+			}
+		}
+	}
+	return plan;
+}
+
+// Helper function to drop items that are inside another item, as removing the outer one removes them too
+/**
+ * @template {{ path: string }} T
+ * @param {T[]} items
+ * @returns {T[]}
+ */
+function removeNestedItems(items) {
+	return items.filter(item => !items.some(other => other !== item && isInsideFolder(item.path, other.path)));
+}
+
+// Categories the retention-based cleanups and cleanup profiles know about
+const CLEANUP_CATEGORIES = ['binObj', 'nugetPackages', 'iosDeviceSupport', 'androidSdk', 'iosSimulatorRuntimes', 'dotnetPacks'];
+
+/**
+ * @typedef {Object} CleanupRules
+ * @property {RetentionPolicy} retention
+ * @property {number} [maxAgeDays] Only remove items that were not used or modified for this many days
+ * @property {RegExp[]} protect Items whose path or label match any of these are never removed
+ */
+
+// Helper function to turn a protect pattern such as "**/android-34*" into a regular expression
+function globToRegExp(pattern) {
+	const source = pattern
+		.replace(/\\/g, '/')
+		.replace(/[.+^${}()|[\]]/g, '\\$&')
+		// A trailing "/**" matches the folder itself as well as everything in it
+		.replace(/\/\*\*$/, '\u0002')
+		// "**/" stands for whole folders only, so "**/node_modules" does not match "foo_node_modules"
+		.replace(/\*\*\//g, '\u0000')
+		.replace(/\*\*/g, '\u0001')
+		.replace(/\*/g, '[^/]*')
+		.replace(/\?/g, '[^/]')
+		.replace(/\u0000/g, '(?:.*/)?')
+		.replace(/\u0001/g, '.*')
+		.replace(/\u0002/g, '(?:/.*)?');
+	return new RegExp(`(^|/)${source}$`, 'i');
+}
+
+// Helper function to list what a category's retention rules would remove
+/**
+ * @param {string} category One of CLEANUP_CATEGORIES
+ * @param {CleanupRules} rules
+ * @param {HostEnvironment} [host]
+ * @returns {Promise<(CleanupItem & { lastUsed?: Date })[]>}
+ */
+async function collectCategoryPlan(category, rules, host = getHostEnvironment()) {
+	const toItems = (planCategory, versions) => versions.map(version => ({
+		category: planCategory,
+		label: version.label,
+		path: version.path,
+		androidPackage: version.androidPackage,
+		lastUsed: version.lastUsed
+	}));
+
+	switch (category) {
+		case 'binObj':
+			return collectBinObjPlan(await findWorkspaceProjects());
+		case 'nugetPackages': {
+			const packagesPath = await resolveNugetPackagesPath();
+			const references = await getWorkspaceNugetReferences() || new Set();
+			return listSubfolders(packagesPath).flatMap(packageId => {
+				const versions = listSubfolders(path.join(packagesPath, packageId))
+					.filter(version => !references.has(`${packageId}/${version}`.toLowerCase()))
+					.map(version => ({
+						label: `${packageId} ${version}`,
+						version,
+						path: path.join(packagesPath, packageId, version),
+						lastUsed: getNugetPackageLastUsed(path.join(packagesPath, packageId, version))
+					}));
+				return toItems('NuGet Packages', selectVersionsToRemove(versions, 'nuget', rules.retention));
+			});
+		}
+		case 'iosDeviceSupport': {
+			if (host.platform !== 'darwin') return [];
+			const deviceSupportPath = getIosDeviceSupportPath(host);
+			const versions = listSubfolders(deviceSupportPath).map(folder => ({
+				label: folder,
+				version: folder,
+				path: path.join(deviceSupportPath, folder)
+			}));
+			return toItems('iOS Device Support', selectVersionsToRemove(versions, 'ios-device-support', rules.retention));
+		}
+		case 'androidSdk': {
+			const items = [];
+			for (const { path: sdkRoot } of await getAndroidSdkLocations(host)) {
+				const components = ANDROID_SDK_COMPONENTS
+					.filter(component => ['platforms', 'system-images', 'build-tools'].includes(component.path));
+				for (const component of components) {
+					const componentPath = path.join(sdkRoot, component.path);
+					if (!fs.existsSync(componentPath)) continue;
+					const versions = listAndroidComponentVersions(component, componentPath)
+						.map(version => ({
+							label: version,
+							version,
+							path: path.join(componentPath, version),
+							androidPackage: { sdkRoot, id: [component.path, ...version.split('/')].join(';') }
+						}));
+					items.push(...toItems(`Android ${component.path}`, selectVersionsToRemove(versions, component.versionScheme, rules.retention)));
+				}
+			}
+			return items;
+		}
+		case 'iosSimulatorRuntimes': {
+			const xmlPath = path.join(IOS_SIMULATOR_RUNTIME_PATH, 'com_apple_MobileAsset_iOSSimulatorRuntime.xml');
+			if (host.platform !== 'darwin' || !fs.existsSync(xmlPath)) return [];
+			const usedRuntimes = await getUsedSimulatorRuntimes();
+			const assetFolders = fs.readdirSync(IOS_SIMULATOR_RUNTIME_PATH)
+				.filter(item => item.endsWith('.asset') && !usedRuntimes.has(item.replace('.asset', '')))
+				.map(folder => ({ label: folder, path: path.join(IOS_SIMULATOR_RUNTIME_PATH, folder) }));
+			return toItems('iOS Simulator Runtimes', assetFolders);
+		}
+		case 'dotnetPacks': {
+			const requiredPacks = isWorkspacePackProtectionEnabled() ? await getWorkspaceRequiredPacks() : new Map();
+			const items = [];
+			for (const packsPath of getDotnetPacksPaths()) {
+				for (const pack of listSubfolders(packsPath)) {
+					const packPath = path.join(packsPath, pack);
+					const versions = listSubfolders(packPath).map(folder => ({
+						label: `${pack} ${folder}`,
+						version: folder,
+						path: path.join(packPath, folder)
+					}));
+					items.push(...toItems('.NET Packs', selectVersionsToRemove(versions, 'dotnet-packs', rules.retention)
+						.filter(version => !isPackVersionRequired(requiredPacks, pack, version.version))));
+				}
+			}
+			return items;
+		}
+		default:
+			throw new Error(`Unknown cleanup category: ${category}`);
+	}
+}
+
+// Helper function to build a cleanup plan for several categories, honouring max-age and protect rules
+/**
+ * @param {{ category: string, rules: CleanupRules }[]} categories
+ * @param {HostEnvironment} [host]
+ * @returns {Promise<CleanupItem[]>}
+ */
+async function buildCleanupPlan(categories, host = getHostEnvironment()) {
+	/** @type {CleanupItem[]} */
+	const plan = [];
+	for (const { category, rules } of categories) {
+		const oldestKept = rules.maxAgeDays !== undefined ? Date.now() - rules.maxAgeDays * 24 * 60 * 60 * 1000 : undefined;
+		for (const { lastUsed, ...item } of await collectCategoryPlan(category, rules, host)) {
+			const itemPath = item.path.replace(/\\/g, '/');
+			if (rules.protect.some(pattern => pattern.test(itemPath) || pattern.test(item.label))) continue;
+			if (oldestKept !== undefined && (lastUsed || fs.statSync(item.path).mtime).getTime() >= oldestKept) continue;
+			plan.push(item);
+		}
+	}
+	return plan;
+}
+
+/**
+ * @typedef {Object} CleanupProfile
+ * @property {string} name
+ * @property {string} [description]
+ * @property {(string | { category: string, keepCount?: number, maxAgeDays?: number, protect?: string[] })[]} categories
+ * @property {number} [keepCount]
+ * @property {number} [maxAgeDays]
+ * @property {string[]} [protect]
+ * @property {string} [scope] Where the profile is defined, filled in when reading the settings
+ */
+
+// Helper function to combine a profile's settings with those of one of its categories
+/**
+ * @param {CleanupProfile} profile
+ * @returns {{ category: string, rules: CleanupRules }[]}
+ */
+function resolveProfileCategories(profile) {
+	const pick = (...values) => values.find(value => value !== undefined);
+	return profile.categories.map(entry => {
+		const categoryRules = typeof entry === 'string' ? { category: entry } : entry;
+		if (!CLEANUP_CATEGORIES.includes(categoryRules.category)) {
+			throw new Error(`Profile "${profile.name}" lists unknown category "${categoryRules.category}". Known categories: ${CLEANUP_CATEGORIES.join(', ')}`);
+		}
+		const retention = getRetentionPolicy();
+		return {
+			category: categoryRules.category,
+			rules: {
+				retention: { ...retention, keepCount: pick(categoryRules.keepCount, profile.keepCount, retention.keepCount) },
+				maxAgeDays: pick(categoryRules.maxAgeDays, profile.maxAgeDays),
+				protect: [...(profile.protect || []), ...(categoryRules.protect || [])].map(globToRegExp)
+			}
+		};
+	});
+}
+
+// Helper function to build the plan of a cleanup task from tasks.json
+/**
+ * @param {{ task: string, profile?: string }} definition
+ * @param {CleanupProfile[]} profiles Profiles a "profile" task may name
+ * @returns {Promise<CleanupItem[]>}
+ */
+async function buildTaskPlan(definition, profiles) {
+	if (definition.task === 'binobj') {
+		return collectBinObjPlan(await findWorkspaceProjects());
+	}
+	if (definition.task === 'profile' && definition.profile) {
+		const profile = profiles.find(candidate => candidate.name === definition.profile);
+		if (!profile) throw new Error(`Cleanup profile "${definition.profile}" is not defined in mauiCleaner.profiles`);
+		return buildCleanupPlan(resolveProfileCategories(profile));
+	}
+	throw new Error(`Unknown task "${definition.task}", expected "binobj" or "profile" with a profile name`);
+}
+
+// Helper function to name a task as it appears after "mauiCleaner: "
+/**
+ * @param {{ task: string, profile?: string }} definition
+ * @returns {string}
+ */
+function getTaskName(definition) {
+	return definition.task === 'profile' ? `profile ${definition.profile}` : definition.task;
+}
+
+/**
+ * @typedef {Object} CleanupItem
+ * @property {string} category
+ * @property {string} label
+ * @property {string} path
+ * @property {number} [size] Filled in once the folder has been scanned
+ * @property {{ sdkRoot: string, id: string }} [androidPackage] Removed through sdkmanager when possible
+ */
+
+// Helper function to list the sub-folders of a folder
+function listSubfolders(folderPath) {
+	if (!fs.existsSync(folderPath)) return [];
+	return fs.readdirSync(folderPath)
+		.filter(item => fs.statSync(path.join(folderPath, item)).isDirectory());
+}
+
+// Helper function to get the free space of the volume holding the user's caches and SDKs
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {Promise<number>}
+ */
+async function getFreeDiskSpace(host = getHostEnvironment()) {
+	const stats = await fs.promises.statfs(host.homeDir);
+	return stats.bavail * stats.bsize;
+}
+
+// Helper function to add up the size of a cleanup plan without any progress UI
+/**
+ * @param {CleanupItem[]} plan
+ * @param {{ isCancellationRequested: boolean }} [token]
+ * @returns {Promise<number>}
+ */
+async function measureCleanupPlan(plan, token) {
+	let total = 0;
+	for (const item of plan) {
+		item.size = await getFolderSize(item.path, token);
+		total += item.size;
+	}
+	return total;
+}
+
+/**
+ * @typedef {Object} UsageNode
+ * @property {string} label
+ * @property {string} [path]
+ * @property {number} [size]
+ * @property {string} [description]
+ * @property {boolean} [isCategory]
+ * @property {string} [warning] Why deleting this node needs an explicit override
+ * @property {CleanupItem[]} [cleanupItems] What deleting this node removes
+ * @property {() => Promise<UsageNode[]>} [loadChildren]
+ */
+
+// Helper function to create tree nodes one after the other, so folders are not scanned all at once
+/**
+ * @template T
+ * @param {T[]} values
+ * @param {(value: T) => Promise<UsageNode>} createNode
+ * @returns {Promise<UsageNode[]>}
+ */
+async function createNodesInSequence(values, createNode) {
+	const nodes = [];
+	for (const value of values) {
+		nodes.push(await createNode(value));
+	}
+	return nodes;
+}
+
+// Helper function to create a tree node for a folder that can be deleted as a whole
+/**
+ * @param {string} category
+ * @param {string} label
+ * @param {string} folderPath
+ * @param {() => Promise<UsageNode[]>} [loadChildren]
+ * @returns {Promise<UsageNode>}
+ */
+async function createFolderNode(category, label, folderPath, loadChildren) {
+	const size = await getFolderSize(folderPath);
+	return {
+		label,
+		path: folderPath,
+		size,
+		cleanupItems: [{ category, label, path: folderPath, size }],
+		loadChildren
+	};
+}
+
+// Helper function to list the nodes of a category found in several locations, such as several Android SDKs
+/**
+ * @param {{ path: string, source?: string }[]} locations
+ * @param {(locationPath: string) => Promise<UsageNode[]>} listNodes
+ * @returns {Promise<UsageNode[]>}
+ */
+async function createLocationNodes(locations, listNodes) {
+	// A single location shows its contents right away
+	if (locations.length === 1) return listNodes(locations[0].path);
+	return createNodesInSequence(locations, async location => {
+		const nodes = await listNodes(location.path);
+		return {
+			label: location.path,
+			path: location.path,
+			description: location.source,
+			size: nodes.reduce((sum, node) => sum + node.size, 0),
+			loadChildren: async () => nodes
+		};
+	});
+}
+
+// Helper function to list the disk usage categories shown in the sidebar
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {UsageNode[]}
+ */
+function getDiskUsageCategories(host = getHostEnvironment()) {
+	/** @type {UsageNode[]} */
+	const categories = [
+		{
+			label: 'Workspace bin/obj',
+			isCategory: true,
+			loadChildren: async () => {
+				if (getWorkspace().folders.length === 0) return [];
+				const seenFolders = new Set();
+				const nodes = [];
+				for (const projectFile of await findWorkspaceProjects()) {
+					const folders = (await getProjectOutputFolders(projectFile))
+						.filter(folder => !seenFolders.has(folder) && fs.existsSync(folder));
+					if (folders.length === 0) continue;
+					folders.forEach(folder => seenFolders.add(folder));
+
+					const category = path.basename(projectFile);
+					const folderNodes = await createNodesInSequence(folders, folder =>
+						createFolderNode(category, path.basename(folder), folder));
+					nodes.push({
+						label: category,
+						path: path.dirname(projectFile),
+						description: getWorkspace().asRelativePath(path.dirname(projectFile)),
+						size: folderNodes.reduce((sum, node) => sum + node.size, 0),
+						cleanupItems: folderNodes.flatMap(node => node.cleanupItems),
+						loadChildren: async () => folderNodes
+					});
+				}
+				return nodes;
+			}
+		},
+		{
+			label: 'NuGet Cache',
+			isCategory: true,
+			loadChildren: async () => {
+				const packagesPath = await resolveNugetPackagesPath();
+				if (!fs.existsSync(packagesPath)) return [];
+				// The global packages folder itself is a managed location, so only its packages and versions can be deleted
+				const packageNodes = await createNodesInSequence(listSubfolders(packagesPath), packageId => {
+					const packagePath = path.join(packagesPath, packageId);
+					return createFolderNode('NuGet Packages', packageId, packagePath, async () => createNodesInSequence(listSubfolders(packagePath), version =>
+						createFolderNode('NuGet Packages', `${packageId} ${version}`, path.join(packagePath, version))));
+				});
+				return [{
+					label: 'Global packages',
+					path: packagesPath,
+					size: packageNodes.reduce((sum, node) => sum + node.size, 0),
+					loadChildren: async () => packageNodes
+				}];
+			}
+		},
+		{
+			label: 'Android SDK',
+			isCategory: true,
+			loadChildren: async () => {
+				const listComponents = sdkRoot => createNodesInSequence(
+					ANDROID_SDK_COMPONENTS
+						.map(component => ({ ...component, path: path.join(sdkRoot, component.path) }))
+						.filter(component => fs.existsSync(component.path)),
+					async component => {
+						const versionNodes = await createNodesInSequence(listSubfolders(component.path), version =>
+							createFolderNode(component.name, version, path.join(component.path, version)));
+						return {
+							label: component.name,
+							path: component.path,
+							size: versionNodes.reduce((sum, node) => sum + node.size, 0),
+							loadChildren: async () => versionNodes
+						};
+					}
+				);
+
+				return createLocationNodes(await getAndroidSdkLocations(host), listComponents);
+			}
+		},
+		{
+			label: '.NET Packs',
+			isCategory: true,
+			loadChildren: async () => {
+				const requiredPacks = await getWorkspaceRequiredPacks();
+				const requiredWarning = 'It is required by the workspace\'s target frameworks or global.json. Removing it may break the next build.';
+				const listPacks = packsPath => createNodesInSequence(listSubfolders(packsPath), async pack => {
+					const packPath = path.join(packsPath, pack);
+					const versions = listSubfolders(packPath);
+					const requiredVersions = versions.filter(version => isPackVersionRequired(requiredPacks, pack, version));
+					return {
+						...await createFolderNode('.NET Packs', pack, packPath, async () => createNodesInSequence(versions, async version => {
+							const isRequired = requiredVersions.includes(version);
+							return {
+								...await createFolderNode('.NET Packs', `${pack} ${version}`, path.join(packPath, version)),
+								description: isRequired ? 'Required by workspace' : undefined,
+								warning: isRequired ? requiredWarning : undefined
+							};
+						})),
+						// Deleting a pack deletes all of its versions, the required ones included
+						warning: requiredVersions.length > 0
+							? `Versions ${requiredVersions.join(', ')} are required by the workspace's target frameworks or global.json. Removing them may break the next build.`
+							: undefined
+					};
+				});
+				return createLocationNodes(getDotnetPacksPaths().map(packsPath => ({ path: packsPath })), listPacks);
+			}
+		}
+	];
+
+	if (host.platform === 'darwin') {
+		categories.push(
+			{
+				label: 'iOS Device Support',
+				path: getIosDeviceSupportPath(host),
+				isCategory: true,
+				loadChildren: async () => createNodesInSequence(listSubfolders(getIosDeviceSupportPath(host)), folder =>
+					createFolderNode('iOS Device Support', folder, path.join(getIosDeviceSupportPath(host), folder)))
+			},
+			{
+				label: 'iOS Simulator Runtimes',
+				path: IOS_SIMULATOR_RUNTIME_PATH,
+				isCategory: true,
+				loadChildren: async () => {
+					if (!fs.existsSync(IOS_SIMULATOR_RUNTIME_PATH)) return [];
+					const usedRuntimes = await getUsedSimulatorRuntimes();
+					const assetFolders = fs.readdirSync(IOS_SIMULATOR_RUNTIME_PATH)
+						.filter(item => item.endsWith('.asset'));
+					return createNodesInSequence(assetFolders, async folder => {
+						const isUsed = usedRuntimes.has(folder.replace('.asset', ''));
+						return {
+							...await createFolderNode('iOS Simulator Runtimes', folder, path.join(IOS_SIMULATOR_RUNTIME_PATH, folder)),
+							description: isUsed ? 'Currently in use' : 'Not in use',
+							warning: isUsed ? 'It is currently in use. Removing it might affect your ability to run iOS simulators.' : undefined
+						};
+					});
+				}
+			}
+		);
+	}
+
+	return categories;
+}
+
+// Helper function to create a workspace from a plain folder, used outside of the editor
+/**
+ * @param {string} [rootFolder] Omit for a workspace without folders
+ * @param {Object<string, any>} [settings] mauiCleaner settings by name, without the prefix
+ * @returns {CleanupWorkspace}
+ */
+function createDirectoryWorkspace(rootFolder, settings = {}) {
+	const folders = rootFolder ? [path.resolve(rootFolder)] : [];
+	const getSetting = (name, defaultValue) => settings[name] !== undefined ? settings[name] : defaultValue;
+
+	// Walks the folders like the editor's file search, skipping excluded folders on the way down
+	const findFiles = async (matches, excludes, baseFolder) => {
+		const excluded = excludes.map(globToRegExp);
+		const found = [];
+		const walk = async (folder, relativeFolder) => {
+			let entries;
+			try {
+				entries = await fs.promises.readdir(folder, { withFileTypes: true });
+			} catch {
+				return;
+			}
+			for (const entry of entries) {
+				const relativePath = relativeFolder ? `${relativeFolder}/${entry.name}` : entry.name;
+				if (entry.isDirectory()) {
+					if (!excluded.some(pattern => pattern.test(`${relativePath}/`))) {
+						await walk(path.join(folder, entry.name), relativePath);
+					}
+				} else if (entry.isFile() && matches(entry.name)) {
+					found.push(path.join(folder, entry.name));
+				}
+			}
+		};
+		for (const folder of baseFolder ? [path.resolve(baseFolder)] : folders) {
+			await walk(folder, '');
+		}
+		return found;
+	};
+
+	return {
+		folders,
+		findProjectFiles: baseFolder => findFiles(
+			name => /\.(csproj|fsproj)$/i.test(name),
+			[...DEFAULT_PROJECT_EXCLUDES, ...getSetting('binObj.exclude', [])],
+			baseFolder),
+		findFiles: fileName => findFiles(name => name === fileName, DEFAULT_PROJECT_EXCLUDES),
+		asRelativePath: filePath => {
+			const folder = folders.find(root => isInsideFolder(filePath, root));
+			return folder ? path.relative(folder, filePath) || '.' : filePath;
+		},
+		getSetting
+	};
+}
+
+// Helper function to find the managed location an item is or is in, whose category is a stable id unlike the item's category label
+/**
+ * @param {CleanupItem} item
+ * @param {ManagedLocation[]} locations
+ * @param {HostEnvironment} [host]
+ * @returns {ManagedLocation | undefined}
+ */
+function findItemLocation(item, locations, host = getHostEnvironment()) {
+	const itemPath = fs.existsSync(item.path) ? fs.realpathSync(item.path) : item.path;
+	return locations.find(managed =>
+		normalizeForComparison(itemPath, host.platform) === normalizeForComparison(managed.path, host.platform)
+		|| isInsideFolder(itemPath, managed.path, host.platform));
+}
+
+// Helper function to find the items running programs may hold files in
+/**
+ * @param {CleanupItem[]} items
+ * @param {ManagedLocation[]} locations
+ * @param {RunningLocker[]} running As found by findLockingProcesses
+ * @param {HostEnvironment} [host]
+ * @returns {Map<CleanupItem, RunningLocker[]>} The programs per locked item
+ */
+function findLockedItems(items, locations, running, host = getHostEnvironment()) {
+	const locked = new Map();
+	for (const item of items) {
+		const location = findItemLocation(item, locations, host);
+		if (!location) continue;
+		const itemPath = normalizeForComparison(fs.existsSync(item.path) ? fs.realpathSync(item.path) : item.path, host.platform);
+		// An item overlaps a folder when it is the folder, inside it or contains it
+		const overlaps = folder => {
+			const folderPath = normalizeForComparison(path.join(location.path, folder), host.platform);
+			return itemPath === folderPath || isInsideFolder(itemPath, folderPath, host.platform) || isInsideFolder(folderPath, itemPath, host.platform);
+		};
+		const lockers = running.filter(locker => locker.categories.includes(location.category)
+			&& (!locker.folders || locker.folders.some(overlaps)));
+		if (lockers.length > 0) locked.set(item, lockers);
+	}
+	return locked;
+}
+
+/**
+ * @typedef {Object} QuarantineEntry
+ * @property {string} id
+ * @property {string} label
+ * @property {string} category
+ * @property {string} originalPath
+ * @property {string} quarantinedAt ISO timestamp
+ * @property {number} size
+ */
+
+// Helper function to read the quarantine manifest
+/**
+ * @param {string} quarantineRoot
+ * @returns {QuarantineEntry[]}
+ */
+function readQuarantineManifest(quarantineRoot) {
+	const manifestPath = path.join(quarantineRoot, 'manifest.json');
+	if (!fs.existsSync(manifestPath)) return [];
+	try {
+		return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+	} catch (error) {
+		log(`Could not read quarantine manifest: ${error.message}`);
+		return [];
+	}
+}
+
+// Helper function to write the quarantine manifest
+/**
+ * @param {string} quarantineRoot
+ * @param {QuarantineEntry[]} entries
+ */
+function writeQuarantineManifest(quarantineRoot, entries) {
+	fs.mkdirSync(quarantineRoot, { recursive: true });
+	fs.writeFileSync(path.join(quarantineRoot, 'manifest.json'), JSON.stringify(entries, null, 2));
+}
+
+// Helper function to move a folder, copying it when source and target are on different volumes
+async function moveFolder(sourcePath, targetPath) {
+	await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+	try {
+		await fs.promises.rename(sourcePath, targetPath);
+	} catch (error) {
+		if (error.code !== 'EXDEV') throw error;
+		await fs.promises.cp(sourcePath, targetPath, { recursive: true, preserveTimestamps: true });
+		await deleteFolderRecursive(sourcePath);
+	}
+}
+
+// Helper function to move a cleanup item into the quarantine folder
+/**
+ * @param {string} quarantineRoot
+ * @param {CleanupItem} item
+ */
+async function quarantineItem(quarantineRoot, item) {
+	if (!quarantineRoot) {
+		throw new Error('Quarantine folder is not available');
+	}
+
+	const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+	await moveFolder(item.path, path.join(quarantineRoot, id, path.basename(item.path)));
+
+	const entries = readQuarantineManifest(quarantineRoot);
+	entries.push({
+		id,
+		label: item.label,
+		category: item.category,
+		originalPath: item.path,
+		quarantinedAt: new Date().toISOString(),
+		size: item.size
+	});
+	writeQuarantineManifest(quarantineRoot, entries);
+}
+
+// Helper function to move a quarantined item back to where it came from
+/**
+ * @param {string} quarantineRoot
+ * @param {QuarantineEntry} entry
+ */
+async function restoreQuarantinedItem(quarantineRoot, entry) {
+	if (fs.existsSync(entry.originalPath)) {
+		throw new Error(`${entry.originalPath} already exists`);
+	}
+
+	await moveFolder(path.join(quarantineRoot, entry.id, path.basename(entry.originalPath)), entry.originalPath);
+	invalidateFolderSize(entry.originalPath);
+	await deleteFolderRecursive(path.join(quarantineRoot, entry.id));
+	writeQuarantineManifest(quarantineRoot, readQuarantineManifest(quarantineRoot).filter(other => other.id !== entry.id));
+}
+
+// Helper function to permanently delete quarantined items older than the configured retention
+/**
+ * @param {string} quarantineRoot
+ * @returns {Promise<QuarantineEntry[]>} The purged items
+ */
+async function purgeExpiredQuarantine(quarantineRoot) {
+	const retentionDays = getWorkspace().getSetting('quarantine.retentionDays', 7);
+	const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+	const entries = readQuarantineManifest(quarantineRoot);
+	const expired = entries.filter(entry => new Date(entry.quarantinedAt).getTime() < cutoff);
+
+	const purged = [];
+	for (const entry of expired) {
+		try {
+			await deleteFolderRecursive(path.join(quarantineRoot, entry.id));
+			purged.push(entry);
+		} catch (error) {
+			log(`Could not purge quarantined ${entry.originalPath}: ${error.message}`);
+		}
+	}
+
+	if (purged.length > 0) {
+		writeQuarantineManifest(quarantineRoot, entries.filter(entry => !purged.includes(entry)));
+	}
+	return purged;
+}
+
+// Helper function to remove a cleanup item for good
+/**
+ * @param {CleanupItem} item
+ */
+async function removePermanently(item) {
+	// sdkmanager keeps the SDK's package metadata consistent, a raw delete is the fallback
+	if (item.androidPackage && await uninstallAndroidPackage(item.androidPackage, item.path)) return;
+	await deleteFolderRecursive(item.path);
+}
+
+// Helper function to remove cleanup items that pass the deletion safety checks
+/**
+ * @param {CleanupItem[]} items
+ * @param {string[]} allowedRoots Resolved folders the items must be inside of
+ * @param {(item: CleanupItem) => Promise<void>} [remove] Removes a single item, permanently by default
+ * @returns {Promise<CleanupResult[]>}
+ */
+async function removeItems(items, allowedRoots, remove = removePermanently) {
+	/** @type {CleanupResult[]} */
+	const results = [];
+	for (const item of items) {
+		let resolvedPath;
+		try {
+			resolvedPath = await fs.promises.realpath(item.path);
+		} catch (error) {
+			results.push({ item, status: 'skipped', reason: error.code === 'ENOENT' ? 'it no longer exists' : error.message });
+			continue;
+		}
+
+		const refusal = getDeletionRefusal(resolvedPath, allowedRoots);
+		if (refusal) {
+			results.push({ item, status: 'skipped', reason: refusal });
+			continue;
+		}
+
+		try {
+			await remove(item);
+			invalidateFolderSize(item.path);
+			results.push({ item, status: 'deleted' });
+		} catch (error) {
+			results.push({ item, status: 'failed', reason: error.code ? `${error.code}: ${error.message}` : error.message });
+		}
+	}
+	return results;
+}
+
+/**
+ * @typedef {Object} HistoryItem
+ * @property {string} [categoryId] Stable category, such as a ManagedLocation category. Missing in entries of older versions
+ * @property {string} category Category label as shown by the cleaner
+ * @property {string} label
+ * @property {string} path
+ * @property {number} size
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} timestamp ISO timestamp
+ * @property {string} command
+ * @property {HistoryItem[]} items Removed items
+ * @property {number} bytesFreed
+ * @property {number} failedCount
+ */
+
+// Names of the stable history categories
+const HISTORY_CATEGORY_LABELS = {
+	binObj: 'bin/obj folders',
+	nugetPackages: 'NuGet packages',
+	nugetLocals: 'NuGet caches',
+	androidSdk: 'Android SDK',
+	androidEmulators: 'Android emulators',
+	iosDeviceSupport: 'iOS Device Support',
+	iosSimulatorRuntimes: 'iOS Simulator runtimes',
+	dotnet: '.NET installations',
+	xamarin: 'Legacy Xamarin leftovers',
+	other: 'Other'
+};
+
+// Helper function to add up the space reclaimed by the cleanups in the history
+/**
+ * @param {HistoryEntry[]} entries
+ * @returns {{ bytesFreed: number, itemCount: number, commands: Object<string, number>, categories: Object<string, number> }} Categories by stable id
+ */
+function summarizeCleanupHistory(entries) {
+	const summary = { bytesFreed: 0, itemCount: 0, commands: {}, categories: {} };
+	for (const entry of entries) {
+		summary.bytesFreed += entry.bytesFreed;
+		summary.itemCount += entry.items.length;
+		summary.commands[entry.command] = (summary.commands[entry.command] || 0) + entry.bytesFreed;
+		for (const item of entry.items) {
+			// Labels differ between cleaners and projects, so entries of older versions are the only ones grouped by label
+			const category = item.categoryId || item.category;
+			summary.categories[category] = (summary.categories[category] || 0) + item.size;
+		}
+	}
+	return summary;
+}
+
+// Helper function to write the cleanup history as Markdown, newest cleanup first
+/**
+ * @param {HistoryEntry[]} entries
+ * @returns {string}
+ */
+function formatCleanupHistory(entries) {
+	const summary = summarizeCleanupHistory(entries);
+	const byLargest = totals => Object.entries(totals).sort((a, b) => b[1] - a[1]);
+	const lines = [
+		'# MAUI Cleaner history',
+		'',
+		`${formatBytes(summary.bytesFreed)} reclaimed by removing ${summary.itemCount} items in ${entries.length} cleanups.`,
+		'',
+		'## Reclaimed per cleaner',
+		'',
+		'| Cleaner | Reclaimed |',
+		'|---------|-----------|',
+		...byLargest(summary.commands).map(([command, size]) => `| ${command} | ${formatBytes(size)} |`),
+		'',
+		'## Reclaimed per category',
+		'',
+		'| Category | Reclaimed |',
+		'|----------|-----------|',
+		...byLargest(summary.categories).map(([category, size]) => `| ${HISTORY_CATEGORY_LABELS[category] || category} | ${formatBytes(size)} |`),
+		'',
+		'## Cleanups'
+	];
+	for (const entry of [...entries].reverse()) {
+		lines.push('', `### ${new Date(entry.timestamp).toLocaleString()}: ${entry.command}`, '',
+			`Freed ${formatBytes(entry.bytesFreed)} by removing ${entry.items.length} items` +
+				(entry.failedCount > 0 ? `, ${entry.failedCount} could not be removed.` : '.'),
+			'');
+		lines.push(...entry.items.map(item => `- ${item.label} (${formatBytes(item.size)}): \`${item.path}\``));
+	}
+	return lines.join('\n') + '\n';
+}
+
+// Version of the disk usage report's JSON shape, increased whenever a field changes meaning or is removed
+const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {Object} ReportItem
+ * @property {string} category
+ * @property {string} name
+ * @property {string} path
+ * @property {string | null} version
+ * @property {number} [sizeBytes]
+ * @property {boolean | null} inUse Null when the extension cannot tell
+ * @property {string | null} [lastModified] ISO timestamp
+ * @property {CleanupItem[] | null} [cleanupItems] What removing the item deletes, null when it is cleaned another way
+ */
+
+// Helper function to put measured report items into the stable, versioned report shape
+/**
+ * @param {ReportItem[]} items Items with their sizes filled in
+ * @param {{ extensionVersion: string, generatedAt?: Date, freeBytes?: number | null }} details
+ * @param {HostEnvironment} [host]
+ */
+function createDiskUsageReport(items, details, host = getHostEnvironment()) {
+	const sortedItems = [...items]
+		.sort((a, b) => a.category.localeCompare(b.category) || a.path.localeCompare(b.path))
+		.map(item => ({
+			category: item.category,
+			name: item.name,
+			path: item.path,
+			version: item.version,
+			sizeBytes: item.sizeBytes || 0,
+			inUse: item.inUse,
+			lastModified: item.lastModified || null
+		}));
+
+	const categories = {};
+	for (const item of sortedItems) {
+		categories[item.category] = (categories[item.category] || 0) + item.sizeBytes;
+	}
+	return {
+		schemaVersion: REPORT_SCHEMA_VERSION,
+		generatedAt: (details.generatedAt || new Date()).toISOString(),
+		generator: { name: 'VSCode-MAUI-DevCleaner', version: details.extensionVersion },
+		machine: {
+			hostname: os.hostname(),
+			platform: host.platform,
+			arch: process.arch,
+			freeBytes: details.freeBytes === undefined ? null : details.freeBytes
+		},
+		totals: {
+			sizeBytes: sortedItems.reduce((sum, item) => sum + item.sizeBytes, 0),
+			itemCount: sortedItems.length,
+			categories
+		},
+		items: sortedItems
+	};
+}
+
+/** @typedef {'json' | 'markdown' | 'csv'} ReportFormat */
+
+// Helper function to write a disk usage report as JSON, Markdown or CSV
+/**
+ * @param {ReturnType<typeof createDiskUsageReport>} report
+ * @param {ReportFormat} format
+ * @returns {string}
+ */
+function formatDiskUsageReport(report, format) {
+	const inUseText = inUse => inUse === null ? '' : (inUse ? 'yes' : 'no');
+
+	if (format === 'csv') {
+		const escape = value => {
+			const text = value === null || value === undefined ? '' : String(value);
+			return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+		};
+		const columns = ['category', 'name', 'version', 'path', 'sizeBytes', 'inUse', 'lastModified'];
+		const rows = report.items.map(item => columns
+			.map(column => escape(column === 'inUse' ? inUseText(item.inUse) : item[column]))
+			.join(','));
+		return [columns.join(','), ...rows].join('\n') + '\n';
+	}
+
+	if (format === 'markdown') {
+		const cell = value => String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|');
+		const lines = [
+			`# Disk usage report for ${report.machine.hostname}`,
+			'',
+			`Generated ${report.generatedAt} on ${report.machine.platform} (${report.machine.arch}).` +
+				(report.machine.freeBytes !== null ? ` ${formatBytes(report.machine.freeBytes)} free.` : ''),
+			'',
+			`Total: ${formatBytes(report.totals.sizeBytes)} in ${report.totals.itemCount} items.`,
+			'',
+			'| Category | Size |',
+			'|----------|------|',
+			...Object.entries(report.totals.categories)
+				.sort((a, b) => b[1] - a[1])
+				.map(([category, size]) => `| ${cell(category)} | ${formatBytes(size)} |`)
+		];
+		for (const category of Object.keys(report.totals.categories)) {
+			lines.push('', `## ${category}`, '', '| Name | Version | Size | In use | Last modified | Path |', '|------|---------|------|--------|---------------|------|');
+			for (const item of report.items.filter(entry => entry.category === category)) {
+				lines.push(`| ${cell(item.name)} | ${cell(item.version)} | ${formatBytes(item.sizeBytes)} | ${inUseText(item.inUse)} | ${cell(item.lastModified)} | ${cell(item.path)} |`);
+			}
+		}
+		return lines.join('\n') + '\n';
+	}
+
+	return JSON.stringify(report, null, 2) + '\n';
+}
+
+// Helper function to turn measured report items into what the dashboard draws, identified by their index
+/**
+ * @param {ReportItem[]} items
+ */
+function toDashboardItems(items) {
+	return items.map((item, id) => ({
+		id,
+		category: item.category,
+		name: item.name,
+		version: item.version,
+		path: item.path,
+		sizeBytes: item.sizeBytes || 0,
+		inUse: item.inUse,
+		lastModified: item.lastModified || null,
+		deletable: Boolean(item.cleanupItems && item.cleanupItems.length > 0)
+	}));
+}
+
+module.exports = {
+	configure,
+	getWorkspace,
+	createDirectoryWorkspace,
+	CancellationError,
+	SIZE_SCAN_CONCURRENCY,
+	FOLDER_SIZE_CACHE_LIFETIME,
+	getFolderSize,
+	invalidateFolderSize,
+	formatBytes,
+	deleteFolderRecursive,
+	parseVersion,
+	compareVersions,
+	getRetentionPolicy,
+	selectVersionsToRemove,
+	listAndroidComponentVersions,
+	listSystemImages,
+	DEFAULT_PROJECT_EXCLUDES,
+	isSdkStyleProject,
+	findWorkspaceProjects,
+	evaluateMsBuildProperties,
+	getProjectOutputFolders,
+	isInsideFolder,
+	getManagedLocations,
+	getDeletionRefusal,
+	listProcessCommandLines,
+	findLockingProcesses,
+	findItemLocation,
+	findLockedItems,
+	IOS_SIMULATOR_RUNTIME_PATH,
+	readAndroidPackage,
+	findSdkManager,
+	uninstallAndroidPackage,
+	findEssentialAndroidPackages,
+	ANDROID_SDK_COMPONENTS,
+	getUsedSimulatorRuntimes,
+	getHostEnvironment,
+	getDotnetRootCandidates,
+	getAndroidSdkDefaults,
+	getAndroidAvdHome,
+	getNugetPackagesPath,
+	getIosDeviceSupportPath,
+	getDotnetRoots,
+	getAndroidSdkCandidates,
+	getAndroidSdkLocations,
+	readAndroidAvds,
+	readNugetGlobalPackagesFolder,
+	resolveNugetPackagesPath,
+	getWorkspaceNugetReferences,
+	getNugetPackageLastUsed,
+	isCommandNotFound,
+	parseNugetLocals,
+	listNugetLocals,
+	clearNugetLocal,
+	getDotnetPacksPaths,
+	getSdkFeatureBand,
+	getWorkspaceSdkPins,
+	readWorkloadManifestPacks,
+	getWorkspaceRequiredPacks,
+	isPackVersionRequired,
+	isWorkspacePackProtectionEnabled,
+	getDotnetInstallComponents,
+	listDotnetComponentVersions,
+	getDotnetPinNote,
+	getLegacyXamarinLocations,
+	listLegacyXamarinItems,
+	isLegacyXamarinProject,
+	findLegacyXamarinProjects,
+	collectBinObjPlan,
+	readSolutionProjects,
+	findProjectsAt,
+	findPlatformIntermediates,
+	collectDeepCleanPlan,
+	removeNestedItems,
+	CLEANUP_CATEGORIES,
+	collectCategoryPlan,
+	buildCleanupPlan,
+	globToRegExp,
+	resolveProfileCategories,
+	buildTaskPlan,
+	getTaskName,
+	AVD_USER_DATA_FILES,
+	listSubfolders,
+	getFreeDiskSpace,
+	measureCleanupPlan,
+	getDiskUsageCategories,
+	readQuarantineManifest,
+	quarantineItem,
+	restoreQuarantinedItem,
+	purgeExpiredQuarantine,
+	removePermanently,
+	removeItems,
+	HISTORY_CATEGORY_LABELS,
+	summarizeCleanupHistory,
+	formatCleanupHistory,
+	REPORT_SCHEMA_VERSION,
+	createDiskUsageReport,
+	formatDiskUsageReport,
+	toDashboardItems
+};
@@ -22,4 +22,12 @@ export default [{
         "constructor-super": "warn",
         "valid-typeof": "warn",
     },
-}];
\ No newline at end of file
+}, {
+    files: ["media/**/*.js"],
+    languageOptions: {
+        globals: {
+            ...globals.browser,
+            acquireVsCodeApi: "readonly",
+        },
+    },
+}];
@@ -2,193 +2,1720 @@
 // Import the module and reference it with the alias vscode in your code below
 const vscode = require('vscode');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { exec } = require('child_process');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
 const util = require('util');
-const execAsync = util.promisify(exec);
-const xml2js = require('xml2js');
-const parseString = util.promisify(xml2js.parseString);
-
-// Helper function to get folder size
-function getFolderSize(folderPath) {
-	let size = 0;
-	if (fs.existsSync(folderPath)) {
-		const files = fs.readdirSync(folderPath);
-		for (const file of files) {
-			const filePath = path.join(folderPath, file);
-			const stat = fs.statSync(filePath);
-			if (stat.isFile()) {
-				size += stat.size;
-			} else if (stat.isDirectory()) {
-				size += getFolderSize(filePath);
-			}
-		}
-	}
-	return size;
-}
-
-// Helper function to format bytes
-function formatBytes(bytes) {
-	if (bytes === 0) return '0 Bytes';
-	const k = 1024;
-	const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-	const i = Math.floor(Math.log(bytes) / Math.log(k));
-	return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
-
-// Helper function to recursively delete a folder
-async function deleteFolderRecursive(folderPath) {
-	if (fs.existsSync(folderPath)) {
-		const isWindows = process.platform === 'win32';
-		const command = isWindows
-			? `rmdir /s /q "${folderPath}"`
-			: `rm -rf "${folderPath}"`;
-		
-		await execAsync(command);
-	}
-}
-
-// Helper function to keep only the latest version
-function keepLatestVersion(versions) {
-	if (versions.length <= 1) return [];
-	
-	// Sort versions in descending order
-	const sortedVersions = [...versions].sort((a, b) => {
-		const versionA = a.label.split(' ')[0];
-		const versionB = b.label.split(' ')[0];
-		return versionB.localeCompare(versionA, undefined, { numeric: true });
+const execFileAsync = util.promisify(execFile);
+const {
+	configure,
+	CancellationError,
+	getFolderSize,
+	invalidateFolderSize,
+	formatBytes,
+	getRetentionPolicy,
+	selectVersionsToRemove,
+	listAndroidComponentVersions,
+	listSystemImages,
+	DEFAULT_PROJECT_EXCLUDES,
+	findWorkspaceProjects,
+	getManagedLocations,
+	listProcessCommandLines,
+	findLockingProcesses,
+	findItemLocation,
+	findLockedItems,
+	IOS_SIMULATOR_RUNTIME_PATH,
+	readAndroidPackage,
+	findEssentialAndroidPackages,
+	ANDROID_SDK_COMPONENTS,
+	getUsedSimulatorRuntimes,
+	getHostEnvironment,
+	getDotnetRootCandidates,
+	getAndroidAvdHome,
+	getIosDeviceSupportPath,
+	getDotnetRoots,
+	getAndroidSdkCandidates,
+	getAndroidSdkLocations,
+	AVD_USER_DATA_FILES,
+	readAndroidAvds,
+	resolveNugetPackagesPath,
+	getWorkspaceNugetReferences,
+	getNugetPackageLastUsed,
+	isCommandNotFound,
+	listNugetLocals,
+	clearNugetLocal,
+	getDotnetPacksPaths,
+	getSdkFeatureBand,
+	getWorkspaceSdkPins,
+	getWorkspaceRequiredPacks,
+	isPackVersionRequired,
+	getDotnetInstallComponents,
+	listDotnetComponentVersions,
+	getDotnetPinNote,
+	listLegacyXamarinItems,
+	findLegacyXamarinProjects,
+	collectBinObjPlan,
+	findProjectsAt,
+	collectDeepCleanPlan,
+	removeNestedItems,
+	isInsideFolder,
+	CLEANUP_CATEGORIES,
+	resolveProfileCategories,
+	buildTaskPlan,
+	getTaskName,
+	buildCleanupPlan,
+	listSubfolders,
+	getFreeDiskSpace,
+	measureCleanupPlan,
+	getDiskUsageCategories,
+	readQuarantineManifest,
+	quarantineItem,
+	restoreQuarantinedItem,
+	purgeExpiredQuarantine,
+	removePermanently,
+	removeItems,
+	formatCleanupHistory,
+	createDiskUsageReport,
+	formatDiskUsageReport,
+	toDashboardItems
+} = require('./core');
+
+/** @typedef {import('./core').CleanupItem} CleanupItem */
+/** @typedef {import('./core').CleanupResult} CleanupResult */
+/** @typedef {import('./core').CleanupProfile} CleanupProfile */
+/** @typedef {import('./core').ManagedLocation} ManagedLocation */
+/** @typedef {import('./core').AndroidAvd} AndroidAvd */
+/** @typedef {import('./core').HostEnvironment} HostEnvironment */
+/** @typedef {import('./core').ReportItem} ReportItem */
+/** @typedef {import('./core').ReportFormat} ReportFormat */
+/** @typedef {import('./core').HistoryEntry} HistoryEntry */
+/** @typedef {import('./core').UsageNode} UsageNode */
+
+// Number of items whose size is calculated in parallel
+const ITEM_SCAN_CONCURRENCY = 2;
+
+/**
+ * @typedef {Object} SizedItem
+ * @property {string} [path]
+ * @property {number} [size] Filled in once the folder has been scanned
+ * @property {SizedItem[]} [parts] Items whose sizes add up to this item's size, so it needs no scan of its own
+ */
+
+// Helper function to scan the sizes of items with a cancellable progress notification
+/**
+ * @template {SizedItem} T
+ * @param {T[]} items
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @param {{ isCancellationRequested: boolean }} [options.token]
+ * @param {(item: T) => void} [options.onSize] Called as soon as an item's size is known
+ * @returns {Promise<void>}
+ */
+async function scanFolderSizes(items, options = {}) {
+	const pendingItems = items.filter(item => item.path && !item.parts && item.size === undefined);
+	const compositeItems = items.filter(item => item.parts && item.size === undefined);
+	if (pendingItems.length === 0 && compositeItems.length === 0) return;
+
+	const onSize = options.onSize || (() => {});
+	const completeComposites = () => {
+		for (const item of compositeItems) {
+			if (item.size === undefined && item.parts.every(part => part.size !== undefined)) {
+				item.size = item.parts.reduce((sum, part) => sum + part.size, 0);
+				onSize(item);
+			}
+		}
+	};
+	completeComposites();
+
+	await vscode.window.withProgress(
+		{
+			location: vscode.ProgressLocation.Notification,
+			title: options.title || 'Calculating sizes',
+			cancellable: true
+		},
+		async (progress, progressToken) => {
+			const token = {
+				get isCancellationRequested() {
+					return progressToken.isCancellationRequested
+						|| Boolean(options.token && options.token.isCancellationRequested);
+				}
+			};
+			const increment = 100 / Math.max(pendingItems.length, 1);
+
+			const worker = async () => {
+				while (pendingItems.length > 0 && !token.isCancellationRequested) {
+					const item = pendingItems.shift();
+					progress.report({ message: path.basename(item.path) });
+					try {
+						item.size = await getFolderSize(item.path, token);
+						onSize(item);
+						completeComposites();
+					} catch (error) {
+						if (error instanceof CancellationError) return;
+						log(`Could not calculate size of ${item.path}: ${error.message}`);
+					}
+					progress.report({ increment });
+				}
+			};
+			await Promise.all(Array.from({ length: ITEM_SCAN_CONCURRENCY }, worker));
+			log(token.isCancellationRequested
+				? `Size scan cancelled with ${pendingItems.length} items left`
+				: `Scanned the sizes of ${items.length} items`);
+		}
+	);
+}
+
+// Output channel scans, decisions and removals are logged to, created on activation
+let outputChannel = null;
+
+// Helper function to log a line to the MAUI Cleaner output channel
+function log(message) {
+	if (!outputChannel) {
+		console.log(message);
+		return;
+	}
+	outputChannel.appendLine(`[${new Date().toLocaleString()}] ${message}`);
+}
+
+// Workspace the core scans, backed by the open folders, file search and settings of VS Code
+/** @type {import('./core').CleanupWorkspace} */
+const editorWorkspace = {
+	get folders() {
+		return (vscode.workspace.workspaceFolders || []).map(folder => folder.uri.fsPath);
+	},
+	async findProjectFiles(baseFolder) {
+		const config = vscode.workspace.getConfiguration('mauiCleaner');
+		const excludes = [...DEFAULT_PROJECT_EXCLUDES, ...config.get('binObj.exclude', [])];
+		const include = baseFolder ? new vscode.RelativePattern(baseFolder, '**/*.{csproj,fsproj}') : '**/*.{csproj,fsproj}';
+		const uris = await vscode.workspace.findFiles(include, `{${excludes.join(',')}}`);
+		return uris.map(uri => uri.fsPath);
+	},
+	async findFiles(fileName) {
+		if (!vscode.workspace.workspaceFolders) return [];
+		const uris = await vscode.workspace.findFiles(`**/${fileName}`, `{${DEFAULT_PROJECT_EXCLUDES.join(',')}}`);
+		return uris.map(uri => uri.fsPath);
+	},
+	asRelativePath(filePath) {
+		return vscode.workspace.asRelativePath(filePath);
+	},
+	getSetting(name, defaultValue) {
+		return vscode.workspace.getConfiguration('mauiCleaner').get(name, defaultValue);
+	}
+};
+
+configure({ workspace: editorWorkspace, log });
+
+// Folder quarantined items are moved to, set on activation
+let quarantineRoot = null;
+
+/** @typedef {'permanent' | 'trash' | 'quarantine'} DeletionMode */
+
+// Helper function to read how cleaners remove items
+/**
+ * @returns {DeletionMode}
+ */
+function getDeletionMode() {
+	return vscode.workspace.getConfiguration('mauiCleaner').get('deletionMode', 'permanent');
+}
+
+// Helper function to remove a cleanup item according to the configured deletion mode
+/**
+ * @param {CleanupItem} item
+ */
+async function removeCleanupItem(item) {
+	const deletionMode = getDeletionMode();
+	if (deletionMode === 'trash') {
+		await vscode.workspace.fs.delete(vscode.Uri.file(item.path), { recursive: true, useTrash: true });
+	} else if (deletionMode === 'quarantine') {
+		await quarantineItem(quarantineRoot, item);
+	} else {
+		await removePermanently(item);
+	}
+}
+
+// Helper function to check whether cleaners should only report what they would remove
+function isDryRun() {
+	return vscode.workspace.getConfiguration('mauiCleaner').get('dryRun', false);
+}
+
+// Helper function to describe an item size that may still be unknown
+function formatItemSize(size, scanning) {
+	if (size !== undefined) return formatBytes(size);
+	return scanning ? 'calculating...' : 'unknown';
+}
+
+// Helper function to quote a path for a POSIX shell, so spaces, quotes and $ are taken literally
+function quoteForShell(argument) {
+	return `'${argument.replace(/'/g, `'\\''`)}'`;
+}
+
+// Helper function to show a QuickPick right away and fill in item sizes while they are scanned
+/**
+ * @template {vscode.QuickPickItem & SizedItem} T
+ * @param {T[]} items
+ * @param {Object} options
+ * @param {string} options.placeHolder
+ * @param {string | ((items: T[]) => string)} [options.title]
+ * @param {boolean} [options.canPickMany] Defaults to true
+ * @param {(item: T, scanning: boolean) => void} [options.render] Updates the item texts from its size
+ * @param {(items: T[], scanning: boolean) => vscode.QuickPickItem[]} [options.arrange] Orders the items shown
+ * @returns {Promise<T[] | undefined>}
+ */
+async function showSizedQuickPick(items, options) {
+	const canPickMany = options.canPickMany !== false;
+	const render = options.render || ((item, scanning) => {
+		item.description = `Size: ${formatItemSize(item.size, scanning)}`;
+	});
+	// Keep the order stable while scanning, then sort by size
+	const arrange = options.arrange || ((pickItems, scanning) =>
+		scanning ? pickItems : [...pickItems].sort((a, b) => (b.size || 0) - (a.size || 0)));
+
+	const quickPick = vscode.window.createQuickPick();
+	quickPick.canSelectMany = canPickMany;
+	quickPick.ignoreFocusOut = true;
+	quickPick.placeholder = options.placeHolder;
+	quickPick.busy = true;
+
+	let scanning = true;
+	/** @type {T[]} */
+	let selection = items.filter(item => item.picked);
+	const update = () => {
+		items.forEach(item => render(item, scanning));
+		quickPick.items = arrange(items, scanning);
+		if (canPickMany) quickPick.selectedItems = selection;
+		if (options.title) {
+			quickPick.title = typeof options.title === 'function' ? options.title(items) : options.title;
+		}
+	};
+
+	// Batch updates so that many small folders do not redraw the list for every item
+	let updateTimer;
+	const scheduleUpdate = () => {
+		if (!updateTimer) {
+			updateTimer = setTimeout(() => {
+				updateTimer = undefined;
+				update();
+			}, 100);
+		}
+	};
+
+	update();
+	const scanCancellation = new vscode.CancellationTokenSource();
+	return new Promise(resolve => {
+		quickPick.onDidChangeSelection(selected => {
+			// Only the given items can be selected, separators added by arrange cannot
+			selection = /** @type {T[]} */ ([...selected]);
+		});
+		quickPick.onDidAccept(() => {
+			resolve(canPickMany ? selection : /** @type {T[]} */ ([...quickPick.activeItems]));
+			quickPick.hide();
+		});
+		quickPick.onDidHide(() => {
+			clearTimeout(updateTimer);
+			scanCancellation.cancel();
+			scanCancellation.dispose();
+			quickPick.dispose();
+			resolve(undefined);
+		});
+		quickPick.show();
+
+		scanFolderSizes(items, { token: scanCancellation.token, onSize: scheduleUpdate })
+			.catch(error => log(`Error calculating sizes: ${error.message}`))
+			.finally(() => {
+				scanning = false;
+				quickPick.busy = false;
+				clearTimeout(updateTimer);
+				updateTimer = undefined;
+				update();
+			});
 	});
-	
-	// Return all versions except the latest
-	return sortedVersions.slice(1);
+}
+
+// Helper function to list quick pick entries under a separator per category, largest first once scanned
+/**
+ * @template {vscode.QuickPickItem & SizedItem} T
+ * @param {T[]} entries
+ * @param {boolean} scanning
+ * @param {(entry: T) => string} categoryOf
+ * @returns {vscode.QuickPickItem[]}
+ */
+function arrangeByCategory(entries, scanning, categoryOf) {
+	const sizeOf = categoryEntries => categoryEntries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+	const categories = [...new Set(entries.map(categoryOf))]
+		.map(category => {
+			const categoryEntries = entries.filter(entry => categoryOf(entry) === category);
+			return { category, entries: categoryEntries, size: sizeOf(categoryEntries) };
+		});
+	if (!scanning) categories.sort((a, b) => b.size - a.size);
+
+	const arranged = [];
+	for (const { category, entries: categoryEntries, size } of categories) {
+		arranged.push({ label: `${category} (${formatBytes(size)})`, kind: vscode.QuickPickItemKind.Separator });
+		arranged.push(...(scanning ? categoryEntries : [...categoryEntries].sort((a, b) => (b.size || 0) - (a.size || 0))));
+	}
+	return arranged;
+}
+
+// Helper function to let the user review a cleanup plan grouped by category
+/**
+ * @param {CleanupItem[]} items
+ * @param {string} title
+ * @returns {Promise<CleanupItem[] | undefined>}
+ */
+async function previewCleanupPlan(items, title) {
+	/** @type {(vscode.QuickPickItem & SizedItem & { path: string, item: CleanupItem, parent?: CleanupItem })[]} */
+	const pickItems = items.map(item => ({
+		label: item.label,
+		detail: item.path,
+		picked: true,
+		path: item.path,
+		size: item.size,
+		item,
+		// Such as the platform intermediates a deep clean lists next to their obj folder
+		parent: items.find(other => isInsideFolder(item.path, other.path))
+	}));
+	// Items inside another selected item are removed with it, so their size is already counted
+	const sizeOf = (/** @type {(SizedItem & { path: string })[]} */ entries) => removeNestedItems(entries).reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+	const selected = await showSizedQuickPick(pickItems, {
+		title: entries => `${title}: ${entries.length} items, ${formatBytes(sizeOf(entries))}` +
+			(isDryRun() ? ' (dry run, nothing will be deleted)' : ''),
+		placeHolder: 'Untick anything you want to keep, then press Enter to confirm',
+		render: (pickItem, scanning) => {
+			pickItem.description = formatItemSize(pickItem.size, scanning) +
+				(pickItem.parent ? ` · part of ${pickItem.parent.label}` : '');
+			pickItem.item.size = pickItem.size;
+		},
+		arrange: (entries, scanning) => arrangeByCategory(entries, scanning, entry => entry.item.category)
+	});
+
+	if (!selected || selected.length === 0) {
+		log(`${title}: cancelled, nothing selected`);
+		return undefined;
+	}
+	log(`${title}: ${selected.length} of ${items.length} items selected, ${formatBytes(sizeOf(selected))}`);
+	return selected.map(pickItem => pickItem.item);
+}
+
+// Helper function to list the folders cleanup items may be removed from, with symlinks resolved
+/**
+ * @param {ManagedLocation[]} locations
+ * @returns {string[]}
+ */
+function getAllowedDeletionRoots(locations) {
+	const roots = locations.map(location => location.path);
+	if (quarantineRoot && fs.existsSync(quarantineRoot)) roots.push(fs.realpathSync(quarantineRoot));
+	return roots;
+}
+
+// Helper function to list the running processes, or undefined when they cannot be listed
+/**
+ * @returns {Promise<string[] | undefined>}
+ */
+async function listRunningCommandLines() {
+	try {
+		return await listProcessCommandLines();
+	} catch (error) {
+		log(`Could not list running processes: ${error.message}`);
+		return undefined;
+	}
+}
+
+// Helper function to warn about running processes that may hold files of the items about to be removed
+/**
+ * @param {CleanupItem[]} items
+ * @param {ManagedLocation[]} locations
+ * @param {boolean} interactive Skips the items that may be locked without asking when false
+ * @returns {Promise<{ items: CleanupItem[], skipped: CleanupResult[] } | undefined>} Undefined when the user cancels
+ */
+async function checkForLockingProcesses(items, locations, interactive) {
+	for (;;) {
+		const commandLines = await listRunningCommandLines();
+		if (!commandLines) return { items, skipped: [] };
+		const running = findLockingProcesses(commandLines);
+
+		const locked = findLockedItems(items, locations, running);
+		const lockersOf = item => locked.get(item) || [];
+		const lockedItems = items.filter(item => locked.has(item));
+		if (lockedItems.length === 0) return { items, skipped: [] };
+
+		const lockers = running.filter(locker => lockedItems.some(item => lockersOf(item).includes(locker)));
+		log(`Running: ${lockers.map(locker => `${locker.name} (${locker.count})`).join(', ')}, which may lock ${lockedItems.length} items`);
+
+		const canShutDown = lockers.some(locker => locker.buildServer);
+		const choice = !interactive ? 'Skip locked items' : await vscode.window.showWarningMessage(
+			`${lockers.map(locker => locker.name).join(', ')} ${lockers.length === 1 ? 'is' : 'are'} running and may hold files in ${lockedItems.length} of the selected items.`,
+			{
+				modal: true,
+				detail: 'Deleting files that are in use can leave half-deleted folders behind. Close the programs first, skip the items they may lock, or continue if you know they are not in use.'
+			},
+			...(canShutDown ? ['Shut down build servers'] : []),
+			'Skip locked items',
+			'Continue anyway'
+		);
+
+		if (choice === 'Continue anyway') {
+			log(`Continuing with ${lockedItems.length} items that may be in use`);
+			return { items, skipped: [] };
+		}
+
+		if (choice === 'Skip locked items') {
+			return {
+				items: items.filter(item => !lockedItems.includes(item)),
+				skipped: lockedItems.map(item => ({
+					item,
+					status: 'skipped',
+					reason: `it may be in use by ${lockersOf(item).map(locker => locker.name).join(', ')}`
+				}))
+			};
+		}
+		if (choice !== 'Shut down build servers') return undefined;
+
+		try {
+			await execFileAsync('dotnet', ['build-server', 'shutdown']);
+			log('Shut down the .NET build servers');
+		} catch (error) {
+			vscode.window.showErrorMessage(`Could not shut down the build servers: ${(error.stderr || error.message).trim()}`);
+		}
+	}
+}
+
+// Helper function to remove the items of a confirmed cleanup plan, honouring dry-run mode
+/**
+ * @param {CleanupItem[]} items
+ * @param {string} command Name of the cleaner, as logged and recorded in the history
+ * @param {{ interactive?: boolean }} [options] Tasks and API callers are not interactive: nothing is asked or shown
+ * @returns {Promise<{ removedCount: number, totalSize: number, results: CleanupResult[] } | undefined>}
+ */
+async function executeCleanupPlan(items, command, options = {}) {
+	const interactive = options.interactive !== false;
+	items = excludeEssentialAndroidPackages(items);
+	if (items.length === 0) return undefined;
+	log(`${command}: confirmed ${items.length} items`);
+
+	// Sizes are usually known from the preview already, in which case this hits the cache
+	for (const item of items) {
+		if (item.size === undefined) {
+			item.size = await getFolderSize(item.path);
+		}
+	}
+
+	if (isDryRun()) {
+		const plannedSize = items.reduce((sum, item) => sum + item.size, 0);
+		items.forEach(item => log(`Dry run: would remove ${item.path} (${formatBytes(item.size)})`));
+		if (interactive) vscode.window.showInformationMessage(
+			`Dry run: ${items.length} items would be removed, freeing ${formatBytes(plannedSize)}. Nothing was deleted.`
+		);
+		return undefined;
+	}
+
+	const deletionMode = getDeletionMode();
+	const locations = await getManagedLocations();
+	const allowedRoots = getAllowedDeletionRoots(locations);
+
+	const checked = await checkForLockingProcesses(items, locations, interactive);
+	if (!checked) {
+		log(`${command}: cancelled because programs that may lock the items are running`);
+		return undefined;
+	}
+
+	// Resolved while the items still exist, symlinked locations cannot be matched afterwards
+	const itemLocations = new Map(items.map(item => [item, findItemLocation(item, locations)]));
+	const results = [
+		...checked.skipped,
+		...await removeItems(checked.items, allowedRoots, removeCleanupItem)
+	];
+
+	for (const result of results) {
+		if (result.status === 'deleted') {
+			log(`Removed (${deletionMode}) ${result.item.path} (${formatBytes(result.item.size)})`);
+		} else {
+			log(`${result.status === 'skipped' ? 'Skipped' : 'Failed to remove'} ${result.item.path}: ${result.reason}`);
+		}
+	}
+
+	const removedItems = results.filter(result => result.status === 'deleted').map(result => result.item);
+	const skippedCount = results.filter(result => result.status === 'skipped').length;
+	const failedCount = results.filter(result => result.status === 'failed').length;
+	const totalSize = removedItems.reduce((sum, item) => sum + item.size, 0);
+	log(`${command}: removed ${removedItems.length} of ${items.length} items, freeing ${formatBytes(totalSize)}`);
+	await recordCleanup(command, removedItems, failedCount, item => {
+		const location = itemLocations.get(item);
+		return location ? location.category : 'other';
+	});
+
+	if (interactive && (skippedCount > 0 || failedCount > 0)) {
+		const problems = [
+			skippedCount > 0 && `${skippedCount} skipped`,
+			failedCount > 0 && `${failedCount} could not be removed`
+		].filter(Boolean).join(', ');
+		vscode.window.showWarningMessage(`${command}: ${problems}. See the MAUI Cleaner output for the reasons.`, 'Show Output')
+			.then(choice => {
+				if (choice === 'Show Output' && outputChannel) outputChannel.show();
+			});
+	}
+	return { removedCount: removedItems.length, totalSize, results };
+}
+
+// Key of the cleanup history in the global state
+const HISTORY_KEY = 'mauiCleaner.history';
+
+// Number of cleanups kept in the history, the oldest are dropped first
+const HISTORY_LIMIT = 200;
+
+// Global state the cleanup history is stored in, set on activation
+let historyState = null;
+
+// Helper function to read the cleanup history, oldest first
+/**
+ * @returns {HistoryEntry[]}
+ */
+function readCleanupHistory() {
+	return historyState ? historyState.get(HISTORY_KEY, []) : [];
+}
+
+// Helper function to add a cleanup to the history
+/**
+ * @param {string} command
+ * @param {CleanupItem[]} removedItems
+ * @param {number} failedCount
+ * @param {(item: CleanupItem) => string} categoryIdOf Stable category of an item, which the history is grouped by
+ */
+async function recordCleanup(command, removedItems, failedCount, categoryIdOf) {
+	if (!historyState || (removedItems.length === 0 && failedCount === 0)) return;
+
+	/** @type {HistoryEntry} */
+	const entry = {
+		timestamp: new Date().toISOString(),
+		command,
+		items: removedItems.map(item => ({
+			categoryId: categoryIdOf(item),
+			category: item.category,
+			label: item.label,
+			path: item.path,
+			size: item.size || 0
+		})),
+		bytesFreed: removedItems.reduce((sum, item) => sum + (item.size || 0), 0),
+		failedCount
+	};
+	await historyState.update(HISTORY_KEY, [...readCleanupHistory(), entry].slice(-HISTORY_LIMIT));
+}
+
+// Helper function to drop removals that would leave an Android SDK without command-line tools or platform-tools
+/**
+ * @param {CleanupItem[]} items
+ * @returns {CleanupItem[]} The items that may be removed
+ */
+function excludeEssentialAndroidPackages(items) {
+	const refused = findEssentialAndroidPackages(items);
+	if (refused.length > 0) {
+		vscode.window.showWarningMessage(
+			`Keeping ${refused.map(item => item.label).join(', ')}: the Android SDK needs at least one command-line tools and platform-tools installation.`
+		);
+	}
+	return items.filter(item => !refused.includes(item));
+}
+
+// Helper function to let the user choose an Android SDK when several are installed
+/**
+ * @returns {Promise<string | undefined>}
+ */
+async function pickAndroidSdk() {
+	const locations = await getAndroidSdkLocations();
+	if (locations.length === 0) {
+		await showAndroidSdkNotFound();
+		return undefined;
+	}
+	if (locations.length === 1) return locations[0].path;
+
+	const selected = await vscode.window.showQuickPick(
+		locations.map(location => ({ label: location.path, description: location.source })),
+		{ placeHolder: 'Several Android SDKs were found, select the one to clean', ignoreFocusOut: true }
+	);
+	return selected && selected.label;
+}
+
+// Helper function to tell the user where the Android SDK was looked for
+async function showAndroidSdkNotFound() {
+	const checkedPaths = (await getAndroidSdkCandidates()).map(candidate => candidate.path);
+	vscode.window.showErrorMessage(
+		`Android SDK not found. Checked: ${checkedPaths.join(', ')}\n` +
+		'Please set the path in extension settings (mauiCleaner.androidSdkPath) or set ANDROID_HOME.'
+	);
+}
+
+// Helper function to read the cleanup profiles of the user and of the workspace
+/**
+ * @returns {CleanupProfile[]}
+ */
+function getCleanupProfiles() {
+	// Workspace profiles come from .vscode/settings.json and are listed next to the user's own
+	// Settings are not validated by VS Code, so every profile is checked below
+	const inspected = /** @type {{ workspaceFolderValue?: CleanupProfile[], workspaceValue?: CleanupProfile[], globalValue?: CleanupProfile[] } | undefined} */ (
+		vscode.workspace.getConfiguration('mauiCleaner').inspect('profiles')) || {};
+	/** @type {[string, CleanupProfile[] | undefined][]} */
+	const scopes = [
+		['Workspace folder', inspected.workspaceFolderValue],
+		['Workspace', inspected.workspaceValue],
+		['User', inspected.globalValue]
+	];
+	return scopes.flatMap(([scope, profiles]) => (Array.isArray(profiles) ? profiles : [])
+		.filter(profile => profile && profile.name && Array.isArray(profile.categories))
+		.map(profile => ({ ...profile, scope })));
+}
+
+// Helper function to find a cleanup profile by name
+/**
+ * @param {string} name
+ * @returns {CleanupProfile}
+ */
+function findCleanupProfile(name) {
+	const profile = getCleanupProfiles().find(candidate => candidate.name === name);
+	if (!profile) throw new Error(`Cleanup profile "${name}" is not defined in mauiCleaner.profiles`);
+	return profile;
 }
 
 // Type definitions
 /**
  * @typedef {Object} VersionItem
  * @property {string} label
- * @property {string} description
+ * @property {string} [description]
+ * @property {string} version
  * @property {string} path
+ * @property {number} [size]
  * @property {boolean} isVersion
+ * @property {boolean} picked
+ * @property {boolean} [isRequired] Needed by the workspace's target frameworks or global.json
  */
 
 /**
  * @typedef {Object} PackItem
  * @property {string} label
- * @property {string} description
+ * @property {string} [description]
+ * @property {string} [detail]
  * @property {string} path
+ * @property {number} [size]
  * @property {boolean} isPack
  * @property {VersionItem[]} versions
+ * @property {VersionItem[]} parts
  */
 
 /**
  * @typedef {PackItem | VersionItem} QuickPickItem
  */
 
-// This method is called when your extension is activated
-// Your extension is activated the very first time the command is executed
+/**
+ * @typedef {Object} DotnetInstallItem
+ * @property {string} label
+ * @property {string} [description]
+ * @property {string} [detail]
+ * @property {string} category Name of the .NET installation component
+ * @property {string} dotnetRoot The .NET installation the item belongs to
+ * @property {string} version
+ * @property {string} path
+ * @property {number} [size]
+ * @property {boolean} picked
+ * @property {string} [note] Why the item should rather be kept, such as a global.json pin
+ */
+
+/**
+ * @typedef {Object} AndroidVersionItem
+ * @property {string} label
+ * @property {string} [description]
+ * @property {string} detail
+ * @property {string} version
+ * @property {string} path
+ * @property {number} [size]
+ * @property {string} category Name of the Android SDK component
+ * @property {{ sdkRoot: string, id: string }} androidPackage Passed to sdkmanager to uninstall the version
+ * @property {boolean} picked
+ */
+
+/**
+ * @typedef {Object} NugetPackageItem
+ * @property {string} label
+ * @property {string} [description]
+ * @property {string} packageId
+ * @property {string} version
+ * @property {string} path
+ * @property {number} [size]
+ * @property {Date} lastUsed
+ * @property {boolean} isReferenced Restored by a project in the workspace
+ * @property {boolean} picked
+ */
+
+/**
+ * @typedef {Object} SnapshotPickItem Snapshot folder of an emulator, scanned but only shown in the emulator's description
+ * (pickKind tells the Android pick items apart, kind is taken by vscode.QuickPickItem)
+ * @property {'snapshot'} pickKind
+ * @property {string} label
+ * @property {string} [description]
+ * @property {string} path
+ * @property {number} [size]
+ */
 
+/**
+ * @typedef {Object} AvdPickItem
+ * @property {'avd'} pickKind
+ * @property {string} label
+ * @property {string} [description]
+ * @property {string} [detail]
+ * @property {string} path
+ * @property {number} [size]
+ * @property {string} category
+ * @property {AndroidAvd} avd
+ * @property {boolean} imageMissing The system image the emulator was created from is no longer installed
+ * @property {SnapshotPickItem} snapshots
+ */
+
+/**
+ * @typedef {Object} SystemImagePickItem
+ * @property {'image'} pickKind
+ * @property {string} label
+ * @property {string} [description]
+ * @property {string} detail
+ * @property {string} path
+ * @property {number} [size]
+ * @property {string} category
+ * @property {{ sdkRoot: string, id: string }} androidPackage
+ */
+
+/**
+ * @typedef {AvdPickItem | SystemImagePickItem | SnapshotPickItem} AndroidPickItem
+ */
+
+// Tree data provider listing the disk usage of every known category
+class DiskUsageTreeProvider {
+	constructor() {
+		this._onDidChangeTreeData = new vscode.EventEmitter();
+		this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+		/** @type {UsageNode[] | undefined} */
+		this.categories = undefined;
+	}
+
+	refresh() {
+		this.categories = undefined;
+		this._onDidChangeTreeData.fire(undefined);
+	}
+
+	/**
+	 * @param {UsageNode} node
+	 * @returns {vscode.TreeItem}
+	 */
+	getTreeItem(node) {
+		const item = new vscode.TreeItem(
+			node.label,
+			node.loadChildren ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None
+		);
+		item.description = [node.size !== undefined ? formatBytes(node.size) : '', node.description || '']
+			.filter(Boolean)
+			.join(' · ');
+		item.tooltip = node.path;
+		item.iconPath = new vscode.ThemeIcon(node.isCategory ? 'folder-library' : 'folder');
+
+		// Drives which inline actions are shown, see the view/item/context menus
+		const contextValues = [];
+		if (node.isCategory) contextValues.push('category');
+		if (node.path) contextValues.push('revealable');
+		if (node.cleanupItems) contextValues.push('deletable');
+		item.contextValue = contextValues.join(' ');
+		return item;
+	}
+
+	/**
+	 * @param {UsageNode} [node]
+	 * @returns {Promise<UsageNode[]>}
+	 */
+	async getChildren(node) {
+		if (node) {
+			return node.loadChildren ? node.loadChildren() : [];
+		}
+
+		if (!this.categories) {
+			this.categories = getDiskUsageCategories();
+			for (const category of this.categories) {
+				category.description = 'calculating...';
+			}
+			this.scanCategories(this.categories);
+		}
+		return this.categories;
+	}
+
+	// Scans each category in the background so the view shows up right away and fills in sizes as they are known
+	/**
+	 * @param {UsageNode[]} categories
+	 */
+	scanCategories(categories) {
+		vscode.window.withProgress({ location: { viewId: 'mauiCleaner.diskUsage' } }, async () => {
+			for (const category of categories) {
+				// Expanding the category while it is scanned waits for the same scan
+				const childrenPromise = category.loadChildren();
+				category.loadChildren = () => childrenPromise;
+				try {
+					const children = await childrenPromise;
+					if (children.length === 0) {
+						category.description = 'Nothing found';
+						category.loadChildren = undefined;
+					} else {
+						category.description = undefined;
+						category.size = children.reduce((sum, child) => sum + child.size, 0);
+					}
+				} catch (error) {
+					category.description = `Error: ${error.message}`;
+					category.loadChildren = undefined;
+				}
+				if (this.categories !== categories) return;
+				this._onDidChangeTreeData.fire(category);
+			}
+		});
+	}
+}
+
+// Helper function to list every location the extension knows about, without sizes
+/**
+ * @param {HostEnvironment} [host]
+ * @returns {Promise<ReportItem[]>}
+ */
+async function collectReportItems(host = getHostEnvironment()) {
+	/** @type {ReportItem[]} */
+	const items = [];
+	const add = (category, name, itemPath, version = null, inUse = null, cleanupItems = [{ category, label: name, path: itemPath }]) => {
+		items.push({ category, name, path: itemPath, version, inUse, cleanupItems });
+	};
+
+	for (const item of await collectBinObjPlan(await findWorkspaceProjects())) {
+		add('Workspace bin/obj', `${item.category} ${item.label}`, item.path);
+	}
+
+	const packagesPath = await resolveNugetPackagesPath();
+	const references = await getWorkspaceNugetReferences();
+	for (const packageId of listSubfolders(packagesPath)) {
+		for (const version of listSubfolders(path.join(packagesPath, packageId))) {
+			// Whether a version is in use is unknown until the workspace has been restored
+			add('NuGet Packages', packageId, path.join(packagesPath, packageId, version), version,
+				references ? references.has(`${packageId}/${version}`.toLowerCase()) : null);
+		}
+	}
+	try {
+		for (const local of (await listNugetLocals()).filter(local => local.name !== 'global-packages')) {
+			// Cleared through dotnet nuget locals, as the folders are outside the locations the cleaners manage
+			if (fs.existsSync(local.path)) add('NuGet Locals', local.name, local.path, null, null, null);
+		}
+	} catch (error) {
+		log(`Could not list NuGet locals: ${error.message}`);
+	}
+
+	const avds = readAndroidAvds(await listRunningCommandLines());
+	const referencedImages = new Set(avds.map(avd => avd.systemImage));
+	for (const { path: sdkRoot } of await getAndroidSdkLocations()) {
+		for (const component of ANDROID_SDK_COMPONENTS) {
+			const componentPath = path.join(sdkRoot, component.path);
+			for (const version of listAndroidComponentVersions(component, componentPath)) {
+				const versionPath = path.join(componentPath, version);
+				const inUse = component.path === 'system-images' ? referencedImages.has(version) : null;
+				const { id } = await readAndroidPackage(sdkRoot, versionPath);
+				add(`Android ${component.name}`, version, versionPath, version, inUse,
+					[{ category: component.name, label: version, path: versionPath, androidPackage: { sdkRoot, id } }]);
+			}
+		}
+	}
+	for (const avd of avds) {
+		add('Android Emulators', avd.displayName, avd.path, avd.systemImage || null, avd.isRunning, [
+			{ category: 'Android Emulators', label: avd.displayName, path: avd.path },
+			{ category: 'Android Emulators', label: `${avd.displayName} (.ini)`, path: avd.iniPath }
+		]);
+	}
+
+	const requiredPacks = await getWorkspaceRequiredPacks();
+	for (const packsPath of getDotnetPacksPaths()) {
+		for (const pack of listSubfolders(packsPath)) {
+			for (const version of listSubfolders(path.join(packsPath, pack))) {
+				add('.NET Packs', pack, path.join(packsPath, pack, version), version, isPackVersionRequired(requiredPacks, pack, version));
+			}
+		}
+	}
+	const pinnedSdks = new Set((await getWorkspaceSdkPins()).map(pin => pin.version));
+	for (const dotnetRoot of getDotnetRoots()) {
+		for (const component of getDotnetInstallComponents(dotnetRoot)) {
+			for (const { name, version } of listDotnetComponentVersions(component)) {
+				const inUse = component.name === '.NET SDKs' ? pinnedSdks.has(version) : null;
+				add(component.name, name, path.join(component.path, name), version, inUse);
+			}
+		}
+	}
+
+	if (host.platform === 'darwin') {
+		for (const folder of listSubfolders(getIosDeviceSupportPath(host))) {
+			add('iOS Device Support', folder, path.join(getIosDeviceSupportPath(host), folder), folder);
+		}
+		if (fs.existsSync(IOS_SIMULATOR_RUNTIME_PATH)) {
+			const usedRuntimes = await getUsedSimulatorRuntimes();
+			for (const folder of fs.readdirSync(IOS_SIMULATOR_RUNTIME_PATH).filter(item => item.endsWith('.asset'))) {
+				add('iOS Simulator Runtimes', folder, path.join(IOS_SIMULATOR_RUNTIME_PATH, folder), null, usedRuntimes.has(folder.replace('.asset', '')));
+			}
+		}
+	}
+	return items;
+}
+
+// Helper function to fill in the sizes and modification times of report items
+/**
+ * @param {ReportItem[]} items
+ * @param {vscode.Progress<{ message?: string, increment?: number }>} progress
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<boolean>} False when the scan was cancelled
+ */
+async function measureReportItems(items, progress, token) {
+	for (const [index, item] of items.entries()) {
+		if (token.isCancellationRequested) return false;
+		progress.report({ message: `${index + 1}/${items.length} ${item.name}`, increment: 100 / items.length });
+		try {
+			item.sizeBytes = await getFolderSize(item.path, token);
+			item.lastModified = fs.statSync(item.path).mtime.toISOString();
+		} catch (error) {
+			if (error instanceof CancellationError) return false;
+			log(`Could not measure ${item.path}: ${error.message}`);
+		}
+	}
+	return true;
+}
+
+// Helper function to fill in the dashboard page template, which loads nothing but its own script and style sheet
 /**
  * @param {vscode.ExtensionContext} context
+ * @param {{ cspSource: string, scriptUri: string, styleUri: string, nonce: string }} resources
+ * @returns {string}
  */
-function activate(context) {
-	console.log('MAUI Cleaner extension is now active!');
-	console.log('Extension context:', context.extension.id);
+function getDashboardHtml(context, resources) {
+	const template = fs.readFileSync(path.join(context.extensionPath, 'media', 'dashboard.html'), 'utf8');
+	return template.replace(/\{\{(\w+)\}\}/g, (match, name) => name in resources ? resources[name] : match);
+}
+
+// Dashboard webview panel, only one is open at a time
+let dashboardPanel = null;
+
+// Helper function to open the dashboard, or bring it to the front when it is already open
+/**
+ * @param {vscode.ExtensionContext} context
+ */
+function openDashboard(context) {
+	if (dashboardPanel) {
+		dashboardPanel.reveal();
+		return;
+	}
+
+	const mediaRoot = vscode.Uri.joinPath(context.extensionUri, 'media');
+	const panel = vscode.window.createWebviewPanel('mauiCleaner.dashboard', 'MAUI Cleaner Dashboard', vscode.ViewColumn.Active, {
+		enableScripts: true,
+		localResourceRoots: [mediaRoot],
+		retainContextWhenHidden: true
+	});
+	dashboardPanel = panel;
+	panel.webview.html = getDashboardHtml(context, {
+		cspSource: panel.webview.cspSource,
+		scriptUri: panel.webview.asWebviewUri(vscode.Uri.joinPath(mediaRoot, 'dashboard.js')).toString(),
+		styleUri: panel.webview.asWebviewUri(vscode.Uri.joinPath(mediaRoot, 'dashboard.css')).toString(),
+		nonce: crypto.randomBytes(16).toString('base64')
+	});
+
+	/** @type {ReportItem[]} */
+	let reportItems = [];
+	const scan = async () => {
+		panel.webview.postMessage({ type: 'scanning' });
+		const items = await vscode.window.withProgress(
+			{ location: vscode.ProgressLocation.Notification, title: 'Scanning for the dashboard', cancellable: true },
+			async (progress, token) => {
+				progress.report({ message: 'Looking for items' });
+				const found = await collectReportItems();
+				return await measureReportItems(found, progress, token) ? found : undefined;
+			}
+		);
+		if (!items) {
+			log('Dashboard scan cancelled');
+			panel.webview.postMessage({ type: 'cancelled' });
+			return;
+		}
+		reportItems = items;
+		const freeBytes = await getFreeDiskSpace().catch(() => null);
+		panel.webview.postMessage({ type: 'items', items: toDashboardItems(items), freeBytes });
+	};
+
+	const messageListener = panel.webview.onDidReceiveMessage(async message => {
+		try {
+			if (message.type === 'ready' || message.type === 'refresh') {
+				await scan();
+			} else if (message.type === 'delete') {
+				// Only ids are sent back, so the webview cannot ask for paths the scan did not find
+				const items = message.ids
+					.map(id => reportItems[id])
+					.filter(item => item && item.cleanupItems)
+					.flatMap(item => item.cleanupItems.map(cleanupItem => ({ ...cleanupItem })));
+				const selected = await previewCleanupPlan(items, 'Dashboard');
+				if (!selected) return;
+
+				const result = await executeCleanupPlan(selected, 'Dashboard');
+				if (!result) return;
+				vscode.window.showInformationMessage(`Removed ${result.removedCount} items, freeing ${formatBytes(result.totalSize)}`);
+				await scan();
+			}
+		} catch (error) {
+			vscode.window.showErrorMessage(`Dashboard error: ${error.message}`);
+		}
+	});
+	panel.onDidDispose(() => {
+		messageListener.dispose();
+		dashboardPanel = null;
+	});
+}
+
+/**
+ * @typedef {Object} PlannedItem
+ * @property {string} category
+ * @property {string} label
+ * @property {string} path
+ * @property {number} sizeBytes
+ * @property {{ sdkRoot: string, id: string }} [androidPackage]
+ */
+
+/**
+ * @typedef {Object} CleanupPlanOptions
+ * @property {string} [profile] Name of a profile from mauiCleaner.profiles, the other options are ignored when set
+ * @property {string[]} [categories] Defaults to every category in CLEANUP_CATEGORIES
+ * @property {number} [keepCount]
+ * @property {number} [maxAgeDays]
+ * @property {string[]} [protect] Glob patterns matched against paths and labels
+ */
+
+/**
+ * @typedef {Object} MauiCleanerApi
+ * @property {(categories?: string[]) => Promise<{ category: string, items: PlannedItem[], sizeBytes: number }[]>} scan
+ *   What the retention settings would remove, per category
+ * @property {(options?: CleanupPlanOptions) => Promise<{ items: PlannedItem[], sizeBytes: number }>} plan
+ * @property {(plan: { items: PlannedItem[] }, options?: { command?: string }) => Promise<{ dryRun: boolean, removedCount: number, sizeBytes: number, results: { category: string, label: string, path: string, sizeBytes: number, status: 'deleted' | 'skipped' | 'failed', reason?: string }[] }>} execute
+ *   Removes the items without asking; items that may be locked by running programs are skipped
+ */
+
+// Helper function to measure a cleanup plan and hand it out as planned items
+/**
+ * @param {CleanupItem[]} items
+ * @returns {Promise<{ items: PlannedItem[], sizeBytes: number }>}
+ */
+async function toPlannedItems(items) {
+	const sizeBytes = await measureCleanupPlan(items);
+	return {
+		items: items.map(item => ({ category: item.category, label: item.label, path: item.path, sizeBytes: item.size, androidPackage: item.androidPackage })),
+		sizeBytes
+	};
+}
+
+// Helper function to create the API other extensions get from activate
+/**
+ * @returns {MauiCleanerApi}
+ */
+function createApi() {
+	return {
+		async scan(categories = CLEANUP_CATEGORIES) {
+			const rules = { retention: getRetentionPolicy(), protect: [] };
+			const scanned = [];
+			for (const category of categories) {
+				const planned = await toPlannedItems(await buildCleanupPlan([{ category, rules }]));
+				scanned.push({ category, ...planned });
+			}
+			return scanned;
+		},
+
+		async plan(options = {}) {
+			if (options.profile) {
+				return toPlannedItems(await buildCleanupPlan(resolveProfileCategories(findCleanupProfile(options.profile))));
+			}
+			const profile = {
+				name: 'API',
+				categories: options.categories || CLEANUP_CATEGORIES,
+				keepCount: options.keepCount,
+				maxAgeDays: options.maxAgeDays,
+				protect: options.protect
+			};
+			return toPlannedItems(await buildCleanupPlan(resolveProfileCategories(profile)));
+		},
+
+		async execute(plan, options = {}) {
+			const items = plan.items.map(item => ({ ...item, size: item.sizeBytes }));
+			const result = await executeCleanupPlan(items, options.command || 'Extension API', { interactive: false });
+			if (!result) return { dryRun: isDryRun(), removedCount: 0, sizeBytes: 0, results: [] };
+			return {
+				dryRun: false,
+				removedCount: result.removedCount,
+				sizeBytes: result.totalSize,
+				results: result.results.map(({ item, status, reason }) => ({
+					category: item.category,
+					label: item.label,
+					path: item.path,
+					sizeBytes: item.size,
+					status,
+					reason
+				}))
+			};
+		}
+	};
+}
+
+// Task type of the cleanups that can run from tasks.json, such as a preLaunchTask
+const TASK_TYPE = 'mauiCleaner';
+
+// Helper function to run a cleanup task, writing its progress to the task terminal
+/**
+ * @param {{ task: string, profile?: string }} definition
+ * @param {(line: string) => void} write
+ * @returns {Promise<number>} Exit code, 1 when an item could not be removed. Unknown tasks and profiles throw
+ */
+async function runCleanupTask(definition, write) {
+	const plan = await buildTaskPlan(definition, getCleanupProfiles());
+	const plannedSize = await measureCleanupPlan(plan);
+	write(`Found ${plan.length} items, ${formatBytes(plannedSize)}`);
+	const result = await executeCleanupPlan(plan, `Task ${getTaskName(definition)}`, { interactive: false });
+	if (!result) {
+		write(isDryRun() ? 'Dry run: nothing was deleted' : 'Nothing to clean');
+		return 0;
+	}
+
+	for (const { item, status, reason } of result.results) {
+		write(`${status.padEnd(8)} ${item.path}${reason ? ` (${reason})` : ''}`);
+	}
+	write(`Removed ${result.removedCount} items, freeing ${formatBytes(result.totalSize)}`);
+	return result.results.some(entry => entry.status === 'failed') ? 1 : 0;
+}
+
+// Provides the bin/obj and profile cleanups as tasks
+class CleanupTaskProvider {
+	provideTasks() {
+		return [
+			this.createTask({ type: TASK_TYPE, task: 'binobj' }),
+			...getCleanupProfiles().map(profile => this.createTask({ type: TASK_TYPE, task: 'profile', profile: profile.name }))
+		];
+	}
+
+	resolveTask(task) {
+		// The definition must be reused as is so VS Code can match the task to tasks.json
+		return this.createTask(task.definition);
+	}
+
+	createTask(definition) {
+		const execution = new vscode.CustomExecution(async () => {
+			const writeEmitter = new vscode.EventEmitter();
+			const closeEmitter = new vscode.EventEmitter();
+			const write = line => writeEmitter.fire(`${line}\r\n`);
+			return {
+				onDidWrite: writeEmitter.event,
+				onDidClose: closeEmitter.event,
+				open: () => {
+					runCleanupTask(definition, write)
+						.catch(error => {
+							write(`Error: ${error.message}`);
+							return 1;
+						})
+						.then(exitCode => closeEmitter.fire(exitCode));
+				},
+				close: () => {}
+			};
+		});
+		return new vscode.Task(definition, vscode.TaskScope.Workspace, getTaskName(definition), TASK_TYPE, execution);
+	}
+}
+
+// Interval between free disk space checks
+const FREE_SPACE_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Interval between scheduled cleanup checks, which scan the disk
+const SCHEDULE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Interval between background estimates of reclaimable space, which scan the disk
+const RECLAIMABLE_ESTIMATE_INTERVAL = 30 * 60 * 1000;
+
+// Command behind the status bar item, opening the sidebar or estimating reclaimable space when no estimate is shown yet
+const MONITOR_COMMAND = 'banditoth.VSCode-MAUI-DevCleaner.monitor.click';
+
+// Key of the last scheduled cleanup preview in the global state
+const LAST_SCHEDULED_RUN_KEY = 'mauiCleaner.lastScheduledRun';
+
+// Helper function to build the plan a scheduled cleanup previews: a profile, or all except latest versions
+/**
+ * @param {string} profileName Empty for all except latest versions
+ * @returns {Promise<CleanupItem[]>}
+ */
+async function buildScheduledPlan(profileName) {
+	if (profileName) {
+		return buildCleanupPlan(resolveProfileCategories(findCleanupProfile(profileName)));
+	}
+	const rules = { retention: getRetentionPolicy(), protect: [] };
+	return buildCleanupPlan(['iosDeviceSupport', 'androidSdk', 'dotnetPacks', 'iosSimulatorRuntimes']
+		.map(category => ({ category, rules })));
+}
+
+// Status bar item showing free and reclaimable disk space, warning about low space and running scheduled previews
+class DiskSpaceMonitor {
+	/**
+	 * @param {vscode.ExtensionContext} context
+	 */
+	constructor(context) {
+		this.context = context;
+		this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+		this.statusBarItem.command = MONITOR_COMMAND;
+		/** @type {number | undefined} */
+		this.freeSpace = undefined;
+		// Estimating walks every category, so it runs in the background, one estimate at a time
+		/** @type {number | undefined} */
+		this.reclaimable = undefined;
+		/** @type {vscode.CancellationTokenSource | undefined} */
+		this.estimateCancellation = undefined;
+		this.hasWarned = false;
+		this.timers = [];
+		this.command = vscode.commands.registerCommand(MONITOR_COMMAND, () => {
+			if (this.reclaimable === undefined) {
+				this.updateReclaimable();
+			} else {
+				vscode.commands.executeCommand('workbench.view.extension.mauiCleaner');
+			}
+		});
+		this.configurationListener = vscode.workspace.onDidChangeConfiguration(event => {
+			if (event.affectsConfiguration('mauiCleaner.monitor') || event.affectsConfiguration('mauiCleaner.schedule')) {
+				this.start();
+			}
+		});
+	}
 
-	// Helper function to get Android SDK path
-	function getAndroidSdkPath() {
-		// First check the extension setting
+	start() {
+		this.stop();
 		const config = vscode.workspace.getConfiguration('mauiCleaner');
-		const customPath = config.get('androidSdkPath');
-		if (customPath) {
-			return customPath;
+		if (config.get('monitor.enabled', true)) {
+			this.updateFreeSpace();
+			this.timers.push(setInterval(() => this.updateFreeSpace(), FREE_SPACE_CHECK_INTERVAL));
+			// Estimates scan the disk, so give the window and the scheduled preview time to settle first
+			this.timers.push(setTimeout(() => this.updateReclaimable(), 60 * 1000));
+			this.timers.push(setInterval(() => this.updateReclaimable(), RECLAIMABLE_ESTIMATE_INTERVAL));
+		} else {
+			this.statusBarItem.hide();
 		}
 
-		// Finally, use MAUI's default paths
-		const isWindows = process.platform === 'win32';
-		if (isWindows) {
-			return path.join(process.env.LOCALAPPDATA, 'Android', 'android-sdk');
+		// Previews scan the disk, so give the window time to settle first
+		const scheduledWork = () => {
+			this.runScheduledPreview()
+				.catch(error => log(`Error running scheduled cleanup preview: ${error.message}`));
+		};
+		this.timers.push(setTimeout(scheduledWork, 30 * 1000));
+		this.timers.push(setInterval(scheduledWork, SCHEDULE_CHECK_INTERVAL));
+	}
+
+	stop() {
+		this.timers.forEach(timer => clearInterval(timer));
+		this.timers = [];
+		if (this.estimateCancellation) this.estimateCancellation.cancel();
+	}
+
+	async updateFreeSpace() {
+		try {
+			this.freeSpace = await getFreeDiskSpace();
+		} catch (error) {
+			log(`Could not read free disk space: ${error.message}`);
+			return;
+		}
+		this.render();
+
+		const thresholdGB = vscode.workspace.getConfiguration('mauiCleaner').get('monitor.lowSpaceThresholdGB', 10);
+		const isLow = this.freeSpace < thresholdGB * 1024 * 1024 * 1024;
+		// Warn once each time free space drops below the threshold
+		if (isLow && !this.hasWarned) {
+			this.hasWarned = true;
+			vscode.window.showWarningMessage(
+				`Only ${formatBytes(this.freeSpace)} of disk space left` +
+				(this.reclaimable ? `, about ${formatBytes(this.reclaimable)} could be reclaimed` : '') + '.',
+				'Clean now'
+			).then(choice => {
+				if (choice === 'Clean now') {
+					vscode.commands.executeCommand('banditoth.VSCode-MAUI-DevCleaner.cleanAllExceptLatest');
+				}
+			});
+		} else if (!isLow) {
+			this.hasWarned = false;
+		}
+	}
+
+	async updateReclaimable() {
+		if (this.estimateCancellation || !vscode.workspace.getConfiguration('mauiCleaner').get('monitor.enabled', true)) return;
+		const cancellation = new vscode.CancellationTokenSource();
+		this.estimateCancellation = cancellation;
+		this.render();
+		try {
+			const rules = { retention: getRetentionPolicy(), protect: [] };
+			const plan = await buildCleanupPlan(CLEANUP_CATEGORIES.map(category => ({ category, rules })));
+			this.reclaimable = await measureCleanupPlan(plan, cancellation.token);
+		} catch (error) {
+			if (!(error instanceof CancellationError)) {
+				log(`Could not estimate reclaimable space: ${error.message}`);
+			}
+		} finally {
+			cancellation.dispose();
+			this.estimateCancellation = undefined;
+			this.render();
+		}
+	}
+
+	get estimating() {
+		return this.estimateCancellation !== undefined;
+	}
+
+	async runScheduledPreview() {
+		const config = vscode.workspace.getConfiguration('mauiCleaner');
+		const intervalDays = config.get('schedule.intervalDays', 0);
+		if (!intervalDays) return;
+
+		const lastRun = this.context.globalState.get(LAST_SCHEDULED_RUN_KEY, 0);
+		if (Date.now() - lastRun < intervalDays * 24 * 60 * 60 * 1000) return;
+		await this.context.globalState.update(LAST_SCHEDULED_RUN_KEY, Date.now());
+
+		// Scheduled runs only preview, deleting is left to the user
+		const profileName = config.get('schedule.profile', '');
+		const plan = await buildScheduledPlan(profileName);
+		if (plan.length === 0) return;
+		const size = await measureCleanupPlan(plan);
+
+		const name = profileName ? `profile "${profileName}"` : 'all except latest versions';
+		const choice = await vscode.window.showInformationMessage(
+			`Scheduled cleanup (${name}) could free ${formatBytes(size)} by removing ${plan.length} items.`,
+			'Review'
+		);
+		if (choice !== 'Review') return;
+		if (profileName) {
+			vscode.commands.executeCommand('banditoth.VSCode-MAUI-DevCleaner.runCleanupProfile', profileName);
 		} else {
-			return path.join(process.env.HOME, 'Library', 'Developer', 'Xamarin', 'android-sdk-macosx');
+			vscode.commands.executeCommand('banditoth.VSCode-MAUI-DevCleaner.cleanAllExceptLatest');
 		}
 	}
 
+	render() {
+		if (this.freeSpace === undefined) return;
+		const thresholdGB = vscode.workspace.getConfiguration('mauiCleaner').get('monitor.lowSpaceThresholdGB', 10);
+		const isLow = this.freeSpace < thresholdGB * 1024 * 1024 * 1024;
+
+		this.statusBarItem.text = `$(database) ${formatBytes(this.freeSpace)} free` +
+			(this.estimating ? ' · $(sync~spin)' : '') +
+			(!this.estimating && this.reclaimable !== undefined ? ` · ${formatBytes(this.reclaimable)} reclaimable` : '');
+		if (this.estimating) {
+			this.statusBarItem.tooltip = `${formatBytes(this.freeSpace)} free, estimating reclaimable space...`;
+		} else if (this.reclaimable !== undefined) {
+			this.statusBarItem.tooltip = `${formatBytes(this.freeSpace)} free, about ${formatBytes(this.reclaimable)} could be reclaimed with the retention settings`;
+		} else {
+			this.statusBarItem.tooltip = `${formatBytes(this.freeSpace)} free, click to estimate how much the retention settings could reclaim`;
+		}
+		this.statusBarItem.backgroundColor = isLow ? new vscode.ThemeColor('statusBarItem.warningBackground') : undefined;
+		this.statusBarItem.show();
+	}
+
+	dispose() {
+		this.stop();
+		this.command.dispose();
+		this.configurationListener.dispose();
+		this.statusBarItem.dispose();
+	}
+}
+
+// This method is called when your extension is activated
+// Your extension is activated the very first time the command is executed
+
+/**
+ * @param {vscode.ExtensionContext} context
+ */
+function activate(context) {
+	log('MAUI Cleaner extension is now active!');
+
+	quarantineRoot = path.join(context.globalStorageUri.fsPath, 'quarantine');
+	historyState = context.globalState;
+	outputChannel = vscode.window.createOutputChannel('MAUI Cleaner');
+	context.subscriptions.push(outputChannel);
+	purgeExpiredQuarantine(quarantineRoot)
+		.then(purged => {
+			if (purged.length > 0) {
+				log(`Purged ${purged.length} expired quarantined items`);
+			}
+		})
+		.catch(error => log(`Error purging quarantine: ${error.message}`));
+
 	// Clean bin/obj folders command
 	const cleanBinObj = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanBinObj', async () => {
-		console.log('cleanBinObj command executed');
+		log('cleanBinObj command executed');
 		const workspaceFolders = vscode.workspace.workspaceFolders;
 		if (!workspaceFolders) {
 			vscode.window.showErrorMessage('No workspace folder is open');
 			return;
 		}
 
-		let deletedCount = 0;
-		let totalSize = 0;
-		for (const folder of workspaceFolders) {
-			const binPath = path.join(folder.uri.fsPath, 'bin');
-			const objPath = path.join(folder.uri.fsPath, 'obj');
+		try {
+			const projectFiles = await findWorkspaceProjects();
+			if (projectFiles.length === 0) {
+				vscode.window.showInformationMessage('No SDK-style projects found in the workspace');
+				return;
+			}
+
+			const plan = await collectBinObjPlan(projectFiles);
+			if (plan.length === 0) {
+				vscode.window.showInformationMessage('No bin/obj folders found');
+				return;
+			}
+
+			const selectedItems = await previewCleanupPlan(plan, 'Clean bin/obj folders');
+			if (!selectedItems) return;
+
+			const result = await executeCleanupPlan(selectedItems, 'Bin/Obj Folders');
+			if (!result) return;
+
+			vscode.window.showInformationMessage(`Cleaned ${result.removedCount} bin/obj folders, freeing ${formatBytes(result.totalSize)}`);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error cleaning bin/obj folders: ${error.message}`);
+		}
+	});
+
+	// Clean bin/obj of the projects selected in the Explorer, or deep clean them
+	const cleanProjectsAt = async (uri, selectedUris, deep) => {
+		const targets = (selectedUris && selectedUris.length > 0 ? selectedUris : [uri]).filter(Boolean).map(target => target.fsPath);
+		if (targets.length === 0) {
+			vscode.window.showErrorMessage('Select a folder, project or solution in the Explorer');
+			return;
+		}
+
+		const plan = [];
+		for (const target of targets) {
+			const projectFiles = await findProjectsAt(target);
+			const items = deep ? await collectDeepCleanPlan(projectFiles, target) : await collectBinObjPlan(projectFiles);
+			plan.push(...items.filter(item => !plan.some(other => other.path === item.path)));
+		}
+		if (plan.length === 0) {
+			vscode.window.showInformationMessage(`Nothing to clean in ${targets.map(target => path.basename(target)).join(', ')}`);
+			return;
+		}
+
+		const name = targets.length === 1 ? path.basename(targets[0]) : `${targets.length} items`;
+		const selectedItems = await previewCleanupPlan(plan, deep ? `Deep clean ${name}` : `Clean bin/obj in ${name}`);
+		if (!selectedItems) return;
+
+		const result = await executeCleanupPlan(removeNestedItems(selectedItems), deep ? 'Deep Clean Project' : 'Bin/Obj Folders');
+		if (!result) return;
+
+		vscode.window.showInformationMessage(`Cleaned ${result.removedCount} folders in ${name}, freeing ${formatBytes(result.totalSize)}`);
+	};
 
+	const cleanBinObjHere = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanBinObjHere', async (uri, selectedUris) => {
+		log('cleanBinObjHere command executed');
+		try {
+			await cleanProjectsAt(uri, selectedUris, false);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error cleaning bin/obj folders: ${error.message}`);
+		}
+	});
+
+	const deepCleanProject = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.deepCleanProject', async (uri, selectedUris) => {
+		log('deepCleanProject command executed');
+		try {
+			await cleanProjectsAt(uri, selectedUris, true);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error deep cleaning: ${error.message}`);
+		}
+	});
+
+	// Clean NuGet cache command
+	const cleanNugetCache = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanNugetCache', async () => {
+		log('cleanNugetCache command executed');
+		try {
+			let locals;
 			try {
-				if (fs.existsSync(binPath)) {
-					const size = getFolderSize(binPath);
-					await deleteFolderRecursive(binPath);
-					deletedCount++;
-					totalSize += size;
+				locals = await listNugetLocals();
+			} catch (error) {
+				if (isCommandNotFound(error)) {
+					vscode.window.showErrorMessage('The dotnet command was not found on PATH. Install the .NET SDK or add it to PATH to clear the NuGet caches.');
+					return;
 				}
-				if (fs.existsSync(objPath)) {
-					const size = getFolderSize(objPath);
-					await deleteFolderRecursive(objPath);
-					deletedCount++;
-					totalSize += size;
+				throw error;
+			}
+
+			if (locals.length === 0) {
+				vscode.window.showInformationMessage('dotnet nuget locals did not report any cache locations');
+				return;
+			}
+
+			// Sizes are measured here, before clearing, so the freed space is reported correctly
+			const selectedItems = await previewCleanupPlan(
+				locals.map(local => ({ category: 'NuGet', label: local.name, path: local.path })),
+				'Clear NuGet caches'
+			);
+			if (!selectedItems) return;
+
+			if (isDryRun()) {
+				const plannedSize = selectedItems.reduce((sum, item) => sum + (item.size || 0), 0);
+				vscode.window.showInformationMessage(
+					`Dry run: ${selectedItems.map(item => item.label).join(', ')} would be cleared, freeing ${formatBytes(plannedSize)}. Nothing was deleted.`
+				);
+				return;
+			}
+
+			// dotnet clears the caches itself, but builds and IDEs using them can still make it fail halfway
+			/** @type {ManagedLocation[]} */
+			const locations = selectedItems
+				.filter(item => fs.existsSync(item.path))
+				.map(item => ({ category: 'nugetPackages', path: fs.realpathSync(item.path) }));
+			const checked = await checkForLockingProcesses(selectedItems, locations, true);
+			if (!checked) {
+				log('NuGet Cache: cancelled because programs that may lock the caches are running');
+				return;
+			}
+			checked.skipped.forEach(result => log(`Skipped ${result.item.label}: ${result.reason}`));
+
+			const cleared = [];
+			for (const item of checked.items) {
+				try {
+					// Warnings on stderr do not mean the cache was not cleared, only the exit code does
+					await clearNugetLocal(item.label);
+					invalidateFolderSize(item.path);
+					cleared.push(item);
+					log(`Cleared ${item.label} at ${item.path} (${formatBytes(item.size || 0)})`);
+				} catch (error) {
+					log(`Failed to clear ${item.label}: ${(error.stderr || error.message).trim()}`);
+					vscode.window.showErrorMessage(`Error clearing ${item.label}: ${(error.stderr || error.message).trim()}`);
 				}
-			} catch (error) {
-				vscode.window.showErrorMessage(`Error cleaning ${folder.name}: ${error.message}`);
 			}
+			await recordCleanup('NuGet Cache', cleared, checked.items.length - cleared.length, () => 'nugetLocals');
+			if (cleared.length === 0) return;
+
+			const totalSize = cleared.reduce((sum, item) => sum + (item.size || 0), 0);
+			vscode.window.showInformationMessage(
+				`Cleared ${cleared.map(item => `${item.label} (${formatBytes(item.size || 0)})`).join(', ')}, freeing ${formatBytes(totalSize)}`
+			);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error clearing NuGet cache: ${error.message}`);
 		}
-
-		vscode.window.showInformationMessage(`Cleaned ${deletedCount} bin/obj folders, freeing ${formatBytes(totalSize)}`);
 	});
 
-	// Clean NuGet cache command
-	const cleanNugetCache = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanNugetCache', async () => {
-		console.log('cleanNugetCache command executed');
+	// Browse NuGet packages command
+	const cleanNugetPackages = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanNugetPackages', async () => {
+		log('cleanNugetPackages command executed');
 		try {
-			const isWindows = process.platform === 'win32';
-			const command = isWindows 
-				? 'dotnet nuget locals all --clear'
-				: 'dotnet nuget locals all --clear';
+			const packagesPath = await resolveNugetPackagesPath();
+
+			if (!fs.existsSync(packagesPath)) {
+				vscode.window.showInformationMessage(`NuGet global packages folder not found at: ${packagesPath}`);
+				return;
+			}
+
+			const policy = await vscode.window.showQuickPick(
+				[
+					{ label: 'Not referenced by the workspace', detail: 'Versions no project.assets.json in the workspace refers to', id: 'unreferenced' },
+					{ label: 'Keep newest versions', detail: 'Keeps the newest N versions of every package', id: 'keepNewest' },
+					{ label: 'Not used recently', detail: 'Versions not used in a number of days', id: 'unused' },
+					{ label: 'Choose manually', detail: 'Nothing is pre-selected', id: 'manual' }
+				],
+				{ placeHolder: 'Which package versions should be pre-selected for removal?', ignoreFocusOut: true }
+			);
+			if (!policy) return;
+
+			let keepCount;
+			let unusedDays;
+			if (policy.id === 'keepNewest') {
+				const input = await vscode.window.showInputBox({
+					prompt: 'Number of versions to keep per package',
+					value: String(getRetentionPolicy().keepCount),
+					validateInput: value => /^\d+$/.test(value) ? undefined : 'Enter a whole number'
+				});
+				if (input === undefined) return;
+				keepCount = Number(input);
+			} else if (policy.id === 'unused') {
+				const input = await vscode.window.showInputBox({
+					prompt: 'Pre-select versions not used in this many days',
+					value: '90',
+					validateInput: value => /^\d+$/.test(value) ? undefined : 'Enter a whole number'
+				});
+				if (input === undefined) return;
+				unusedDays = Number(input);
+			}
 
-			const { stdout, stderr } = await execAsync(command);
-			if (stderr) {
-				throw new Error(stderr);
+			const references = await getWorkspaceNugetReferences();
+			// Without restored projects every version would look unreferenced
+			if (!references && policy.id === 'unreferenced') {
+				vscode.window.showWarningMessage('No project.assets.json found in the workspace, so which versions it uses is unknown. Restore the projects first; nothing is pre-selected.');
 			}
+			const unusedSince = unusedDays !== undefined ? Date.now() - unusedDays * 24 * 60 * 60 * 1000 : undefined;
+
+			/** @type {NugetPackageItem[]} */
+			const items = [];
+			for (const packageId of listSubfolders(packagesPath)) {
+				/** @type {NugetPackageItem[]} */
+				const versionItems = listSubfolders(path.join(packagesPath, packageId)).map(version => {
+					const versionPath = path.join(packagesPath, packageId, version);
+					return {
+						label: version,
+						packageId,
+						version,
+						path: versionPath,
+						lastUsed: getNugetPackageLastUsed(versionPath),
+						isReferenced: Boolean(references && references.has(`${packageId}/${version}`.toLowerCase())),
+						picked: false
+					};
+				});
 
-			// Get the size of NuGet cache before clearing
-			const nugetCachePath = isWindows
-				? path.join(process.env.USERPROFILE, '.nuget', 'packages')
-				: path.join(process.env.HOME, '.nuget', 'packages');
+				let toRemove = [];
+				if (policy.id === 'unreferenced') {
+					toRemove = references ? versionItems : [];
+				} else if (policy.id === 'keepNewest') {
+					toRemove = selectVersionsToRemove(versionItems, 'nuget', { ...getRetentionPolicy(), keepCount });
+				} else if (policy.id === 'unused') {
+					toRemove = versionItems.filter(item => item.lastUsed.getTime() < unusedSince);
+				}
+				// Versions the workspace restores are never pre-selected
+				toRemove.filter(item => !item.isReferenced).forEach(item => item.picked = true);
+				items.push(...versionItems);
+			}
 
-			let totalSize = 0;
-			if (fs.existsSync(nugetCachePath)) {
-				totalSize = getFolderSize(nugetCachePath);
+			if (items.length === 0) {
+				vscode.window.showInformationMessage('No NuGet packages found');
+				return;
 			}
 
-			vscode.window.showInformationMessage(`NuGet cache cleared successfully, freeing ${formatBytes(totalSize)}`);
+			const selectedItems = await showSizedQuickPick(items, {
+				placeHolder: `Select package versions to remove from ${packagesPath}`,
+				render: (item, scanning) => {
+					item.description = [
+						`Size: ${formatItemSize(item.size, scanning)}`,
+						`Last used: ${item.lastUsed.toLocaleDateString()}`,
+						item.isReferenced ? 'Used by workspace' : ''
+					].filter(Boolean).join(' · ');
+				},
+				arrange: (entries, scanning) => arrangeByCategory(entries, scanning, entry => entry.packageId)
+			});
+
+			if (!selectedItems || selectedItems.length === 0) return;
+
+			// Sizes were measured while browsing, so the freed space is known before anything is deleted
+			const result = await executeCleanupPlan(selectedItems.map(item => ({
+				category: 'NuGet Packages',
+				label: `${item.packageId} ${item.version}`,
+				path: item.path,
+				size: item.size
+			})), 'NuGet Packages');
+			if (!result) return;
+
+			vscode.window.showInformationMessage(`Removed ${result.removedCount} package versions, freeing ${formatBytes(result.totalSize)}`);
 		} catch (error) {
-			vscode.window.showErrorMessage(`Error clearing NuGet cache: ${error.message}`);
+			vscode.window.showErrorMessage(`Error cleaning NuGet packages: ${error.message}`);
 		}
 	});
 
 	// Clean iOS Device Support command (macOS only)
 	const cleanIosDeviceSupport = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanIosDeviceSupport', async () => {
-		console.log('cleanIosDeviceSupport command executed');
-		if (process.platform !== 'darwin') {
+		log('cleanIosDeviceSupport command executed');
+		if (getHostEnvironment().platform !== 'darwin') {
 			vscode.window.showInformationMessage('This command is only available on macOS');
 			return;
 		}
 
 		try {
-			const deviceSupportPath = path.join(process.env.HOME, 'Library/Developer/Xcode/iOS DeviceSupport');
+			const deviceSupportPath = getIosDeviceSupportPath();
 			if (!fs.existsSync(deviceSupportPath)) {
 				vscode.window.showInformationMessage('No iOS Device Support folders found');
 				return;
@@ -202,47 +1729,31 @@ function activate(context) {
 				return;
 			}
 
-			const items = deviceSupportFolders.map(folder => {
-				const folderPath = path.join(deviceSupportPath, folder);
-				const size = getFolderSize(folderPath);
-				return {
-					label: folder,
-					description: `Size: ${formatBytes(size)}`,
-					path: folderPath
-				};
-			});
+			const items = deviceSupportFolders.map(folder => ({
+				label: folder,
+				version: folder,
+				path: path.join(deviceSupportPath, folder),
+				category: 'iOS Device Support',
+				picked: false
+			}));
 
-			// Sort by size
-			items.sort((a, b) => {
-				const sizeA = parseInt(a.description.split(': ')[1]);
-				const sizeB = parseInt(b.description.split(': ')[1]);
-				return sizeB - sizeA;
-			});
+			// Pre-select what the retention policy would remove
+			selectVersionsToRemove(items, 'ios-device-support').forEach(item => item.picked = true);
 
-			const selectedFolders = await vscode.window.showQuickPick(
+			// Sizes are filled in and sorted while the list is already open
+			const selectedFolders = await showSizedQuickPick(
 				items,
 				{
-					canPickMany: true,
 					placeHolder: 'Select iOS Device Support folders to remove'
 				}
 			);
 
 			if (!selectedFolders || selectedFolders.length === 0) return;
 
-			let removedCount = 0;
-			let totalSize = 0;
-			for (const folder of selectedFolders) {
-				try {
-					const size = getFolderSize(folder.path);
-					await deleteFolderRecursive(folder.path);
-					removedCount++;
-					totalSize += size;
-				} catch (error) {
-					vscode.window.showErrorMessage(`Error removing ${folder.label}: ${error.message}`);
-				}
-			}
+			const result = await executeCleanupPlan(selectedFolders, 'iOS Device Support');
+			if (!result) return;
 
-			vscode.window.showInformationMessage(`Removed ${removedCount} iOS Device Support folders, freeing ${formatBytes(totalSize)}`);
+			vscode.window.showInformationMessage(`Removed ${result.removedCount} iOS Device Support folders, freeing ${formatBytes(result.totalSize)}`);
 		} catch (error) {
 			vscode.window.showErrorMessage(`Error cleaning iOS Device Support: ${error.message}`);
 		}
@@ -250,40 +1761,28 @@ function activate(context) {
 
 	// Clean Android SDK Components command
 	const cleanAndroidSdk = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanAndroidSdk', async () => {
-		console.log('cleanAndroidSdk command executed');
+		log('cleanAndroidSdk command executed');
 		try {
-			const sdkRoot = getAndroidSdkPath();
-			if (!fs.existsSync(sdkRoot)) {
-				vscode.window.showErrorMessage(
-					`Android SDK path not found at: ${sdkRoot}\n` +
-					'Please set the path in extension settings (mauiCleaner.androidSdkPath) or ensure the default path exists.'
-				);
-				return;
-			}
+			const sdkRoot = await pickAndroidSdk();
+			if (!sdkRoot) return;
 
-			const components = [
-				{ name: 'System Images', path: 'system-images' },
-				{ name: 'Platforms', path: 'platforms' },
-				{ name: 'Build Tools', path: 'build-tools' },
-				{ name: 'Command-line Tools', path: 'cmdline-tools' }
-			];
+			const components = ANDROID_SDK_COMPONENTS;
 
-			const selectedComponent = await vscode.window.showQuickPick(
-				components.map(c => {
-					const componentPath = path.join(sdkRoot, c.path);
-					const size = fs.existsSync(componentPath) ? getFolderSize(componentPath) : 0;
-					return {
-						label: c.name,
-						description: `Size: ${formatBytes(size)}`,
-						path: c.path
-					};
-				}),
-				{ placeHolder: 'Select Android SDK component to clean' }
+			const selectedComponents = await showSizedQuickPick(
+				components.map(c => ({
+					label: c.name,
+					path: path.join(sdkRoot, c.path)
+				})),
+				{
+					canPickMany: false,
+					placeHolder: 'Select Android SDK component to clean',
+					arrange: componentItems => componentItems
+				}
 			);
 
-			if (!selectedComponent) return;
+			if (!selectedComponents || selectedComponents.length === 0) return;
 
-			const component = components.find(c => c.name === selectedComponent.label);
+			const component = components.find(c => c.name === selectedComponents[0].label);
 			const componentPath = path.join(sdkRoot, component.path);
 
 			if (!fs.existsSync(componentPath)) {
@@ -291,69 +1790,196 @@ function activate(context) {
 				return;
 			}
 
-			const versions = fs.readdirSync(componentPath)
-				.filter(item => fs.statSync(path.join(componentPath, item)).isDirectory())
-				.map(version => {
-					const versionPath = path.join(componentPath, version);
-					const size = getFolderSize(versionPath);
-					return {
-						label: version,
-						description: `Size: ${formatBytes(size)}`,
-						path: versionPath
-					};
+			/** @type {AndroidVersionItem[]} */
+			const versions = [];
+			for (const version of listAndroidComponentVersions(component, componentPath)) {
+				const versionPath = path.join(componentPath, version);
+				const androidPackage = await readAndroidPackage(sdkRoot, versionPath);
+				versions.push({
+					label: androidPackage.displayName || version,
+					detail: androidPackage.revision ? `${androidPackage.id} · Revision ${androidPackage.revision}` : androidPackage.id,
+					version,
+					path: versionPath,
+					category: component.name,
+					androidPackage: { sdkRoot, id: androidPackage.id },
+					picked: false
 				});
+			}
+
+			// Pre-select what the retention policy would remove
+			selectVersionsToRemove(versions, component.versionScheme).forEach(version => version.picked = true);
 
 			if (versions.length === 0) {
 				vscode.window.showInformationMessage(`No ${component.name} versions found`);
 				return;
 			}
 
-			// Sort by size
-			versions.sort((a, b) => {
-				const sizeA = parseInt(a.description.split(': ')[1]);
-				const sizeB = parseInt(b.description.split(': ')[1]);
-				return sizeB - sizeA;
-			});
-
-			const selectedVersions = await vscode.window.showQuickPick(
+			const selectedVersions = await showSizedQuickPick(
 				versions,
 				{
-					canPickMany: true,
 					placeHolder: `Select ${component.name} versions to remove`
 				}
 			);
 
 			if (!selectedVersions || selectedVersions.length === 0) return;
 
-			let removedCount = 0;
-			let totalSize = 0;
-			for (const version of selectedVersions) {
-				try {
-					const size = getFolderSize(version.path);
-					await deleteFolderRecursive(version.path);
-					removedCount++;
-					totalSize += size;
-				} catch (error) {
-					vscode.window.showErrorMessage(`Error removing version ${version.label}: ${error.message}`);
+			const result = await executeCleanupPlan(selectedVersions.map(item => ({
+				category: item.category,
+				label: item.label,
+				path: item.path,
+				size: item.size,
+				androidPackage: item.androidPackage
+			})), 'Android SDK');
+			if (!result) return;
+
+			vscode.window.showInformationMessage(`Removed ${result.removedCount} ${component.name} versions, freeing ${formatBytes(result.totalSize)}`);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error cleaning Android SDK components: ${error.message}`);
+		}
+	});
+
+	// Clean Android emulators command
+	const cleanAndroidAvds = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanAndroidAvds', async () => {
+		log('cleanAndroidAvds command executed');
+		try {
+			const avds = readAndroidAvds(await listRunningCommandLines());
+			const installedImages = [];
+			for (const location of await getAndroidSdkLocations()) {
+				const systemImagesPath = path.join(location.path, 'system-images');
+				installedImages.push(...listSystemImages(systemImagesPath)
+					.map(image => ({ image, path: path.join(systemImagesPath, image), sdkRoot: location.path })));
+			}
+
+			// Snapshot folders are scanned along with the AVDs, but only shown in their descriptions
+			/** @type {AvdPickItem[]} */
+			const avdItems = avds.map(avd => ({
+				pickKind: 'avd',
+				label: avd.displayName,
+				path: avd.path,
+				category: 'Android Emulators',
+				avd,
+				imageMissing: Boolean(avd.systemImage) && !installedImages.some(({ image }) => image === avd.systemImage),
+				snapshots: { pickKind: 'snapshot', label: `${avd.displayName} snapshots`, path: path.join(avd.path, 'snapshots') }
+			}));
+			const referencedImages = new Set(avds.map(avd => avd.systemImage));
+			/** @type {SystemImagePickItem[]} */
+			const imageItems = installedImages
+				.filter(({ image }) => !referencedImages.has(image))
+				.map(({ image, path: imagePath, sdkRoot }) => ({
+					pickKind: 'image',
+					label: image,
+					path: imagePath,
+					androidPackage: { sdkRoot, id: ['system-images', ...image.split('/')].join(';') },
+					category: 'System images not used by any AVD',
+					detail: imagePath
+				}));
+
+			if (avdItems.length === 0 && imageItems.length === 0) {
+				vscode.window.showInformationMessage(`No Android emulators found in ${getAndroidAvdHome()}`);
+				return;
+			}
+
+			/** @type {AndroidPickItem[]} */
+			const pickItems = [...avdItems, ...imageItems, ...avdItems.map(item => item.snapshots)];
+			const selectedItems = await showSizedQuickPick(
+				pickItems,
+				{
+					placeHolder: 'Select emulators or unused system images to clean',
+					render: (item, scanning) => {
+						item.description = `Size: ${formatItemSize(item.size, scanning)}`;
+						if (item.pickKind !== 'avd') return;
+						const { avd } = item;
+						if (fs.existsSync(item.snapshots.path)) {
+							item.description += ` · Snapshots: ${formatItemSize(item.snapshots.size, scanning)}`;
+						}
+						item.description += ` · Last used: ${avd.lastUsed ? avd.lastUsed.toLocaleDateString() : 'never'}`;
+						item.detail = [
+							avd.systemImage || 'No system image configured',
+							item.imageMissing ? 'System image no longer installed' : '',
+							avd.isRunning ? 'Running' : ''
+						].filter(Boolean).join(' · ');
+					},
+					arrange: (entries, scanning) => arrangeByCategory(
+						entries.filter(/** @returns {entry is AvdPickItem | SystemImagePickItem} */ entry => entry.pickKind !== 'snapshot'),
+						scanning,
+						entry => entry.category)
+				}
+			);
+
+			if (!selectedItems || selectedItems.length === 0) return;
+
+			/** @type {CleanupItem[]} */
+			const itemsToRemove = selectedItems
+				.filter(/** @returns {item is SystemImagePickItem} */ item => item.pickKind === 'image')
+				.map(item => ({
+					category: 'Android System Images',
+					label: item.label,
+					path: item.path,
+					size: item.size,
+					androidPackage: item.androidPackage
+				}));
+
+			const selectedAvds = selectedItems.filter(/** @returns {item is AvdPickItem} */ item => item.pickKind === 'avd');
+			const runningAvds = selectedAvds.filter(item => item.avd.isRunning);
+			if (runningAvds.length > 0) {
+				vscode.window.showWarningMessage(
+					`Skipping running emulators: ${runningAvds.map(item => item.label).join(', ')}. Close them and try again.`
+				);
+			}
+
+			const avdsToClean = selectedAvds.filter(item => !item.avd.isRunning);
+			if (avdsToClean.length > 0) {
+				const action = await vscode.window.showQuickPick(
+					[
+						{ label: 'Wipe snapshots', detail: 'Keeps the emulator, its next start is a cold boot', id: 'snapshots' },
+						{ label: 'Wipe snapshots and user data', detail: 'Resets the emulator to a freshly created state', id: 'userdata' },
+						{ label: 'Delete emulator', detail: 'Removes the AVD completely', id: 'delete' }
+					],
+					{ placeHolder: `What should be removed from ${avdsToClean.length} emulator(s)?`, ignoreFocusOut: true }
+				);
+				if (!action) return;
+
+				for (const { avd } of avdsToClean) {
+					if (action.id === 'delete') {
+						itemsToRemove.push(
+							{ category: 'Android Emulators', label: avd.displayName, path: avd.path },
+							{ category: 'Android Emulators', label: `${avd.displayName} (.ini)`, path: avd.iniPath }
+						);
+						continue;
+					}
+					itemsToRemove.push({ category: 'Android Emulators', label: `${avd.displayName} snapshots`, path: path.join(avd.path, 'snapshots') });
+					if (action.id === 'userdata') {
+						AVD_USER_DATA_FILES.forEach(file => itemsToRemove.push(
+							{ category: 'Android Emulators', label: `${avd.displayName} ${file}`, path: path.join(avd.path, file) }));
+					}
 				}
 			}
 
-			vscode.window.showInformationMessage(`Removed ${removedCount} ${component.name} versions, freeing ${formatBytes(totalSize)}`);
+			const existingItems = itemsToRemove.filter(item => fs.existsSync(item.path));
+			if (existingItems.length === 0) {
+				vscode.window.showInformationMessage('Nothing to remove');
+				return;
+			}
+
+			const result = await executeCleanupPlan(existingItems, 'Android Emulators');
+			if (!result) return;
+
+			vscode.window.showInformationMessage(`Removed ${result.removedCount} items, freeing ${formatBytes(result.totalSize)}`);
 		} catch (error) {
-			vscode.window.showErrorMessage(`Error cleaning Android SDK components: ${error.message}`);
+			vscode.window.showErrorMessage(`Error cleaning Android emulators: ${error.message}`);
 		}
 	});
 
 	// Clean iOS Simulator Runtime command (macOS only)
 	const cleanIosSimulatorRuntime = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanIosSimulatorRuntime', async () => {
-		console.log('cleanIosSimulatorRuntime command executed');
-		if (process.platform !== 'darwin') {
+		log('cleanIosSimulatorRuntime command executed');
+		if (getHostEnvironment().platform !== 'darwin') {
 			vscode.window.showInformationMessage('This command is only available on macOS');
 			return;
 		}
 
 		try {
-			const runtimePath = '/System/Library/AssetsV2/com_apple_MobileAsset_iOSSimulatorRuntime';
+			const runtimePath = IOS_SIMULATOR_RUNTIME_PATH;
 			const xmlPath = path.join(runtimePath, 'com_apple_MobileAsset_iOSSimulatorRuntime.xml');
 
 			if (!fs.existsSync(xmlPath)) {
@@ -361,22 +1987,13 @@ function activate(context) {
 				return;
 			}
 
-			// Read and parse the XML file
-			const xmlContent = fs.readFileSync(xmlPath, 'utf8');
-			const result = await parseString(xmlContent);
-			
 			// Get all asset folders
 			const assetFolders = fs.readdirSync(runtimePath)
 				.filter(item => item.endsWith('.asset'))
-				.map(folder => {
-					const folderPath = path.join(runtimePath, folder);
-					const size = getFolderSize(folderPath);
-					return {
-						name: folder,
-						path: folderPath,
-						size
-					};
-				});
+				.map(folder => ({
+					name: folder,
+					path: path.join(runtimePath, folder)
+				}));
 
 			if (assetFolders.length === 0) {
 				vscode.window.showInformationMessage('No iOS Simulator Runtime assets found');
@@ -384,41 +2001,33 @@ function activate(context) {
 			}
 
 			// Get currently used runtimes from XML
-			const usedRuntimes = new Set();
-			if (result.assets && result.assets.asset) {
-				result.assets.asset.forEach(asset => {
-					if (asset.$.state === 'installed') {
-						usedRuntimes.add(asset.$.assetId);
-					}
-				});
-			}
+			const usedRuntimes = await getUsedSimulatorRuntimes();
 
 			// Prepare items for selection
+			/** @type {(vscode.QuickPickItem & SizedItem & { path: string, category: string, isUsed: boolean })[]} */
 			const items = assetFolders.map(folder => {
 				const isUsed = usedRuntimes.has(folder.name.replace('.asset', ''));
 				return {
 					label: folder.name,
 					description: isUsed ? 'Currently in use' : 'Not in use',
-					detail: `Size: ${formatBytes(folder.size)}`,
 					path: folder.path,
+					category: 'iOS Simulator Runtimes',
 					isUsed
 				};
 			});
 
-			// Sort by usage status and size
-			items.sort((a, b) => {
-				if (a.isUsed !== b.isUsed) return a.isUsed ? 1 : -1;
-				const sizeA = parseInt(a.detail.split(': ')[1]);
-				const sizeB = parseInt(b.detail.split(': ')[1]);
-				return sizeB - sizeA;
-			});
-
-			const selectedItems = await vscode.window.showQuickPick(
+			const selectedItems = await showSizedQuickPick(
 				items,
 				{
-					canPickMany: true,
 					placeHolder: 'Select iOS Simulator Runtime assets to remove',
-					ignoreFocusOut: true
+					render: (item, scanning) => {
+						item.detail = `Size: ${formatItemSize(item.size, scanning)}`;
+					},
+					// Sort by usage status and size
+					arrange: (runtimeItems, scanning) => scanning ? runtimeItems : [...runtimeItems].sort((a, b) => {
+						if (a.isUsed !== b.isUsed) return a.isUsed ? 1 : -1;
+						return (b.size || 0) - (a.size || 0);
+					})
 				}
 			);
 
@@ -436,21 +2045,11 @@ function activate(context) {
 				if (confirm !== 'Yes') return;
 			}
 
-			let removedCount = 0;
-			let totalSize = 0;
-			for (const item of selectedItems) {
-				try {
-					const size = getFolderSize(item.path);
-					await deleteFolderRecursive(item.path);
-					removedCount++;
-					totalSize += size;
-				} catch (error) {
-					vscode.window.showErrorMessage(`Error removing ${item.label}: ${error.message}`);
-				}
-			}
+			const result = await executeCleanupPlan(selectedItems, 'iOS Simulator Runtime');
+			if (!result) return;
 
 			vscode.window.showInformationMessage(
-				`Removed ${removedCount} iOS Simulator Runtime assets, freeing ${formatBytes(totalSize)}`
+				`Removed ${result.removedCount} iOS Simulator Runtime assets, freeing ${formatBytes(result.totalSize)}`
 			);
 		} catch (error) {
 			vscode.window.showErrorMessage(`Error cleaning iOS Simulator Runtime: ${error.message}`);
@@ -459,62 +2058,59 @@ function activate(context) {
 
 	// Clean .NET Packs command
 	const cleanDotnetPacks = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanDotnetPacks', async () => {
-		console.log('cleanDotnetPacks command executed');
+		log('cleanDotnetPacks command executed');
 		try {
-			const isWindows = process.platform === 'win32';
-			const packsPath = isWindows 
-				? path.join(process.env.ProgramFiles, 'dotnet', 'packs')
-				: '/usr/local/share/dotnet/packs';
+			const packsPaths = getDotnetPacksPaths();
 
-			if (!fs.existsSync(packsPath)) {
-				vscode.window.showErrorMessage(`.NET packs directory not found at: ${packsPath}`);
+			if (packsPaths.length === 0) {
+				vscode.window.showErrorMessage(`.NET packs directory not found. Checked: ${getDotnetRootCandidates().join(', ')}`);
 				return;
 			}
 
 			// Get all pack folders
-			const packFolders = fs.readdirSync(packsPath)
-				.filter(item => fs.statSync(path.join(packsPath, item)).isDirectory());
+			const packFolders = packsPaths.flatMap(packsPath => listSubfolders(packsPath)
+				.map(packFolder => ({ packsPath, packFolder })));
 
 			if (packFolders.length === 0) {
 				vscode.window.showInformationMessage('No .NET packs found');
 				return;
 			}
 
+			const requiredPacks = await getWorkspaceRequiredPacks();
+
 			// Create hierarchical items
 			/** @type {PackItem[]} */
 			const items = [];
-			for (const packFolder of packFolders) {
+			for (const { packsPath, packFolder } of packFolders) {
 				const packPath = path.join(packsPath, packFolder);
 				const versions = fs.readdirSync(packPath)
 					.filter(item => fs.statSync(path.join(packPath, item)).isDirectory());
 
-				// Add pack folder as a parent item
-				const packSize = getFolderSize(packPath);
+				// Add pack folder as a parent item, its size adds up from its versions
+				const versionItems = versions.map(version => ({
+					label: `  ${version}`,
+					version,
+					path: path.join(packPath, version),
+					isVersion: true,
+					picked: false,
+					isRequired: isPackVersionRequired(requiredPacks, packFolder, version)
+				}));
+
+				// Pre-select what the retention policy would remove, except what the workspace needs
+				selectVersionsToRemove(versionItems, 'dotnet-packs')
+					.filter(item => !item.isRequired)
+					.forEach(item => item.picked = true);
 				items.push({
 					label: packFolder,
-					description: `Size: ${formatBytes(packSize)}`,
+					// Tell packs of different .NET installations apart
+					detail: packsPaths.length > 1 ? packsPath : undefined,
 					path: packPath,
 					isPack: true,
-					versions: versions.map(version => {
-						const versionPath = path.join(packPath, version);
-						const versionSize = getFolderSize(versionPath);
-						return {
-							label: `  ${version}`,
-							description: `Size: ${formatBytes(versionSize)}`,
-							path: versionPath,
-							isVersion: true
-						};
-					})
+					versions: versionItems,
+					parts: versionItems
 				});
 			}
 
-			// Sort by size
-			items.sort((a, b) => {
-				const sizeA = parseInt(a.description.split(': ')[1]);
-				const sizeB = parseInt(b.description.split(': ')[1]);
-				return sizeB - sizeA;
-			});
-
 			// Flatten the items for the quick pick
 			/** @type {QuickPickItem[]} */
 			const flatItems = [];
@@ -523,12 +2119,18 @@ function activate(context) {
 				flatItems.push(...item.versions);
 			}
 
-			const selectedItems = await vscode.window.showQuickPick(
+			const selectedItems = await showSizedQuickPick(
 				flatItems,
 				{
-					canPickMany: true,
 					placeHolder: 'Select .NET packs or versions to remove',
-					ignoreFocusOut: true
+					render: (item, scanning) => {
+						item.description = `Size: ${formatItemSize(item.size, scanning)}`;
+						if ('isRequired' in item && item.isRequired) item.description += ' · Required by workspace';
+					},
+					// Sort packs by size, keeping each pack's versions right below it
+					arrange: (packItems, scanning) => scanning ? packItems : [...items]
+						.sort((a, b) => (b.size || 0) - (a.size || 0))
+						.flatMap(item => [item, ...item.versions])
 				}
 			);
 
@@ -536,184 +2138,486 @@ function activate(context) {
 
 			// Group selected items by pack
 			const packsToRemove = new Set();
-			const versionsToRemove = new Set();
-
 			for (const item of selectedItems) {
 				if ('isPack' in item && item.isPack) {
 					packsToRemove.add(item.path);
-				} else if ('isVersion' in item && item.isVersion) {
-					versionsToRemove.add(item.path);
 				}
 			}
 
-			// Remove selected items
-			let removedCount = 0;
-			let totalSize = 0;
+			// Versions of a pack that is removed as a whole need no separate removal
+			/** @type {CleanupItem[]} */
+			const itemsToRemove = selectedItems
+				.filter(item => packsToRemove.has(item.path) || !packsToRemove.has(path.dirname(item.path)))
+				.map(item => ({
+					category: '.NET Packs',
+					label: item.label.trim(),
+					path: item.path,
+					size: item.size
+				}));
+
+			// Removing a pack the workspace builds against needs an explicit override
+			const requiredSelected = items
+				.flatMap(item => item.versions)
+				.filter(version => version.isRequired &&
+					(packsToRemove.has(path.dirname(version.path)) || selectedItems.includes(version)));
+			if (requiredSelected.length > 0) {
+				const override = await vscode.window.showWarningMessage(
+					`${requiredSelected.length} selected pack version(s) are required by the workspace's target frameworks or global.json. Removing them may break the next build. Continue?`,
+					{ modal: true },
+					'Remove Anyway'
+				);
+				if (override !== 'Remove Anyway') return;
+			}
 
-			for (const packPath of packsToRemove) {
-				try {
-					const size = getFolderSize(packPath);
-					await deleteFolderRecursive(packPath);
-					removedCount++;
-					totalSize += size;
-				} catch (error) {
-					vscode.window.showErrorMessage(`Error removing pack ${path.basename(packPath)}: ${error.message}`);
-				}
+			const result = await executeCleanupPlan(itemsToRemove, '.NET Packs');
+			if (!result) return;
+
+			vscode.window.showInformationMessage(`Removed ${result.removedCount} items, freeing ${formatBytes(result.totalSize)}`);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error cleaning .NET packs: ${error.message}`);
+		}
+	});
+
+	// Clean .NET SDKs and Runtimes command
+	const cleanDotnetSdks = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanDotnetSdks', async () => {
+		log('cleanDotnetSdks command executed');
+		try {
+			const dotnetRoots = getDotnetRoots();
+
+			if (dotnetRoots.length === 0) {
+				vscode.window.showErrorMessage(`.NET installation not found. Checked: ${getDotnetRootCandidates().join(', ')}`);
+				return;
 			}
 
-			for (const versionPath of versionsToRemove) {
-				try {
-					const size = getFolderSize(versionPath);
-					await deleteFolderRecursive(versionPath);
-					removedCount++;
-					totalSize += size;
-				} catch (error) {
-					vscode.window.showErrorMessage(`Error removing version ${path.basename(versionPath)}: ${error.message}`);
+			const pinnedSdks = new Set((await getWorkspaceSdkPins()).map(pin => pin.version));
+
+			/** @type {DotnetInstallItem[]} */
+			const items = [];
+			for (const { dotnetRoot, ...component } of dotnetRoots.flatMap(dotnetRoot =>
+				getDotnetInstallComponents(dotnetRoot).map(component => ({ ...component, dotnetRoot })))) {
+				/** @type {DotnetInstallItem[]} */
+				const versionItems = listDotnetComponentVersions(component).map(({ name, version }) => ({
+					label: name,
+					detail: dotnetRoots.length > 1 ? dotnetRoot : undefined,
+					category: component.name,
+					dotnetRoot,
+					version,
+					path: path.join(component.path, name),
+					picked: false,
+					note: getDotnetPinNote(component.name, version, pinnedSdks)
+				}));
+
+				// Pre-select what the retention policy would remove, except pinned versions
+				if (component.useRetention) {
+					selectVersionsToRemove(versionItems, 'dotnet-packs')
+						.filter(item => !item.note)
+						.forEach(item => item.picked = true);
 				}
+				items.push(...versionItems);
+			}
+
+			if (items.length === 0) {
+				vscode.window.showInformationMessage('No .NET SDKs or runtimes found');
+				return;
+			}
+
+			const selectedItems = await showSizedQuickPick(items, {
+				placeHolder: 'Select .NET SDKs, runtimes and workload manifests to remove',
+				render: (item, scanning) => {
+					item.description = [`Size: ${formatItemSize(item.size, scanning)}`, item.note].filter(Boolean).join(' · ');
+				},
+				arrange: (entries, scanning) => arrangeByCategory(entries, scanning, entry => entry.category)
+			});
+
+			if (!selectedItems || selectedItems.length === 0) return;
+
+			const pinnedSelected = selectedItems.filter(item => item.note);
+			if (pinnedSelected.length > 0) {
+				const override = await vscode.window.showWarningMessage(
+					`${pinnedSelected.length} selected item(s) are pinned by global.json files in the workspace. Removing them may break the next build. Continue?`,
+					{ modal: true },
+					'Remove Anyway'
+				);
+				if (override !== 'Remove Anyway') return;
+			}
+
+			// Workload manifests and template packs are only used by the SDKs of their band in the same installation
+			const bandKey = item => `${item.dotnetRoot}|${getSdkFeatureBand(item.version)}`;
+			const versionKey = item => `${item.dotnetRoot}|${item.version}`;
+			const removedSdks = selectedItems.filter(item => item.category === '.NET SDKs');
+			const remainingSdks = items.filter(item => item.category === '.NET SDKs' && !selectedItems.includes(item));
+			const removedBands = new Set(removedSdks.map(bandKey));
+			const remainingBands = new Set(remainingSdks.map(bandKey));
+			const removedVersions = new Set(removedSdks.map(versionKey));
+			const leftovers = items.filter(item => !selectedItems.includes(item) && (
+				(item.category === 'Workload Manifests' && removedBands.has(bandKey(item)) && !remainingBands.has(bandKey(item)))
+				|| (item.category === 'Template Packs' && removedVersions.has(versionKey(item)))
+			));
+
+			let itemsToRemove = selectedItems;
+			if (leftovers.length > 0) {
+				const choice = await vscode.window.showWarningMessage(
+					`No SDK will be left for ${leftovers.length} workload manifest band(s) or template pack(s): ${leftovers.map(item => item.label).join(', ')}. Remove them as well?`,
+					{ modal: true },
+					'Remove Them Too',
+					'Keep Them'
+				);
+				if (!choice) return;
+				if (choice === 'Remove Them Too') itemsToRemove = [...selectedItems, ...leftovers];
 			}
 
-			vscode.window.showInformationMessage(`Removed ${removedCount} items, freeing ${formatBytes(totalSize)}`);
+			const result = await executeCleanupPlan(itemsToRemove.map(item => ({
+				category: item.category,
+				label: item.label,
+				path: item.path,
+				size: item.size
+			})), '.NET SDKs and Runtimes');
+			if (!result) return;
+
+			vscode.window.showInformationMessage(`Removed ${result.removedCount} items, freeing ${formatBytes(result.totalSize)}`);
 		} catch (error) {
-			vscode.window.showErrorMessage(`Error cleaning .NET packs: ${error.message}`);
+			vscode.window.showErrorMessage(`Error cleaning .NET SDKs and runtimes: ${error.message}`);
+		}
+	});
+
+	// Clean legacy Xamarin leftovers command
+	const cleanLegacyXamarin = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanLegacyXamarin', async () => {
+		log('cleanLegacyXamarin command executed');
+		try {
+			const legacyProjects = await findLegacyXamarinProjects();
+			if (legacyProjects.length > 0) {
+				const choice = await vscode.window.showWarningMessage(
+					`${legacyProjects.length} workspace project(s) still target Xamarin.`,
+					{
+						modal: true,
+						detail: `${legacyProjects.map(projectFile => vscode.workspace.asRelativePath(projectFile)).join('\n')}\n\n` +
+							'These non-SDK-style projects build with the Xamarin SDKs and Mono, and may stop building once those are removed. Migrate them to .NET MAUI first, or keep the frameworks they use.'
+					},
+					'Continue'
+				);
+				if (choice !== 'Continue') return;
+			}
+
+			const items = listLegacyXamarinItems().map(item => ({
+				...item,
+				detail: item.caution ? `$(warning) ${item.caution}` : item.description,
+				picked: !item.caution
+			}));
+			if (items.length === 0) {
+				vscode.window.showInformationMessage('No legacy Xamarin leftovers found');
+				return;
+			}
+
+			const selected = await showSizedQuickPick(items, {
+				placeHolder: 'Select the Xamarin leftovers to remove',
+				arrange: (entries, scanning) => arrangeByCategory(entries, scanning, entry => entry.category)
+			});
+			if (!selected || selected.length === 0) return;
+
+			const result = await executeCleanupPlan(selected, 'Legacy Xamarin Leftovers');
+			if (!result) return;
+
+			vscode.window.showInformationMessage(`Removed ${result.removedCount} legacy Xamarin items, freeing ${formatBytes(result.totalSize)}`);
+
+			// The frameworks in /Library belong to root, so they can only be removed from an administrator shell
+			const denied = result.results.filter(entry => entry.status === 'failed' && /^(EACCES|EPERM)\b/.test(entry.reason));
+			if (denied.length > 0 && getHostEnvironment().platform !== 'win32') {
+				const choice = await vscode.window.showWarningMessage(
+					`${denied.length} items need administrator rights to remove.`,
+					'Copy sudo Command'
+				);
+				if (choice === 'Copy sudo Command') {
+					await vscode.env.clipboard.writeText(`sudo rm -rf ${denied.map(entry => quoteForShell(entry.item.path)).join(' ')}`);
+				}
+			}
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error cleaning legacy Xamarin leftovers: ${error.message}`);
 		}
 	});
 
 	// Clean all except latest versions command
 	const cleanAllExceptLatest = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.cleanAllExceptLatest', async () => {
-		console.log('cleanAllExceptLatest command executed');
+		log('cleanAllExceptLatest command executed');
 		try {
-			let totalSize = 0;
-			let removedCount = 0;
-
-			// Clean iOS Device Support
-			if (process.platform === 'darwin') {
-				const deviceSupportPath = path.join(process.env.HOME, 'Library/Developer/Xcode/iOS DeviceSupport');
-				if (fs.existsSync(deviceSupportPath)) {
-					const versions = fs.readdirSync(deviceSupportPath)
-						.filter(folder => fs.statSync(path.join(deviceSupportPath, folder)).isDirectory())
-						.map(folder => ({
-							label: folder,
-							path: path.join(deviceSupportPath, folder)
-						}));
-
-					const versionsToRemove = keepLatestVersion(versions);
-					for (const version of versionsToRemove) {
-						const size = getFolderSize(version.path);
-						await deleteFolderRecursive(version.path);
-						totalSize += size;
-						removedCount++;
-					}
-				}
+			// Sizes are calculated in the preview
+			const rules = { retention: getRetentionPolicy(), protect: [] };
+			const plan = await buildCleanupPlan(['iosDeviceSupport', 'androidSdk', 'dotnetPacks', 'iosSimulatorRuntimes']
+				.map(category => ({ category, rules })));
+
+			if (plan.length === 0) {
+				vscode.window.showInformationMessage('Nothing to clean, only the latest versions are installed');
+				return;
 			}
 
-			// Clean Android SDK
-			const sdkRoot = process.platform === 'win32'
-				? path.join(process.env.LOCALAPPDATA, 'Android', 'android-sdk')
-				: path.join(process.env.HOME, 'Library', 'Developer', 'Xamarin', 'android-sdk-macosx');
-
-			if (fs.existsSync(sdkRoot)) {
-				const components = ['platforms', 'system-images', 'build-tools'];
-				for (const component of components) {
-					const componentPath = path.join(sdkRoot, component);
-					if (fs.existsSync(componentPath)) {
-						const versions = fs.readdirSync(componentPath)
-							.filter(folder => fs.statSync(path.join(componentPath, folder)).isDirectory())
-							.map(folder => ({
-								label: folder,
-								path: path.join(componentPath, folder)
-							}));
-
-						const versionsToRemove = keepLatestVersion(versions);
-						for (const version of versionsToRemove) {
-							const size = getFolderSize(version.path);
-							await deleteFolderRecursive(version.path);
-							totalSize += size;
-							removedCount++;
-						}
-					}
+			const selectedItems = await previewCleanupPlan(plan, 'Clean all except latest versions');
+			if (!selectedItems) return;
+
+			const result = await executeCleanupPlan(selectedItems, 'All Except Latest Versions');
+			if (!result) return;
+
+			vscode.window.showInformationMessage(
+				`Removed ${result.removedCount} items, freeing ${formatBytes(result.totalSize)}. Kept only the latest versions.`
+			);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error cleaning all except latest versions: ${error.message}`);
+		}
+	});
+
+	// Run cleanup profile command
+	const runCleanupProfile = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.runCleanupProfile', async (/** @type {string | undefined} */ profileName) => {
+		log('runCleanupProfile command executed');
+		try {
+			const profiles = getCleanupProfiles();
+			if (profiles.length === 0) {
+				const choice = await vscode.window.showInformationMessage(
+					'No cleanup profiles are defined. Add them to the mauiCleaner.profiles setting, in the user or the workspace settings.',
+					'Open Settings'
+				);
+				if (choice === 'Open Settings') {
+					vscode.commands.executeCommand('workbench.action.openSettings', 'mauiCleaner.profiles');
 				}
+				return;
 			}
 
-			// Clean .NET Packs
-			const packsPath = process.platform === 'win32'
-				? path.join(process.env.ProgramFiles, 'dotnet', 'packs')
-				: '/usr/local/share/dotnet/packs';
-
-			if (fs.existsSync(packsPath)) {
-				const packs = fs.readdirSync(packsPath)
-					.filter(folder => fs.statSync(path.join(packsPath, folder)).isDirectory());
-
-				for (const pack of packs) {
-					const packPath = path.join(packsPath, pack);
-					const versions = fs.readdirSync(packPath)
-						.filter(folder => fs.statSync(path.join(packPath, folder)).isDirectory())
-						.map(folder => ({
-							label: folder,
-							path: path.join(packPath, folder)
-						}));
-
-					const versionsToRemove = keepLatestVersion(versions);
-					for (const version of versionsToRemove) {
-						const size = getFolderSize(version.path);
-						await deleteFolderRecursive(version.path);
-						totalSize += size;
-						removedCount++;
-					}
+			const items = profiles.map(profile => ({
+				label: profile.name,
+				description: profile.scope,
+				detail: profile.description || profile.categories
+					.map(entry => typeof entry === 'string' ? entry : entry.category)
+					.join(', '),
+				profile
+			}));
+			// The scheduler and other callers may name the profile to run
+			const selected = typeof profileName === 'string'
+				? items.find(item => item.label === profileName)
+				: await vscode.window.showQuickPick(items, { placeHolder: 'Select a cleanup profile to run', ignoreFocusOut: true });
+			if (!selected) {
+				if (typeof profileName === 'string') vscode.window.showErrorMessage(`Cleanup profile "${profileName}" is not defined`);
+				return;
+			}
+
+			const plan = await buildCleanupPlan(resolveProfileCategories(selected.profile));
+			if (plan.length === 0) {
+				vscode.window.showInformationMessage(`Nothing to clean for profile "${selected.profile.name}"`);
+				return;
+			}
+
+			const selectedItems = await previewCleanupPlan(plan, `Cleanup profile "${selected.profile.name}"`);
+			if (!selectedItems) return;
+
+			const result = await executeCleanupPlan(selectedItems, `Cleanup profile "${selected.profile.name}"`);
+			if (!result) return;
+
+			vscode.window.showInformationMessage(
+				`Profile "${selected.profile.name}" removed ${result.removedCount} items, freeing ${formatBytes(result.totalSize)}`
+			);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error running cleanup profile: ${error.message}`);
+		}
+	});
+
+	// Generate disk usage report command
+	const generateReport = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.generateReport', async () => {
+		log('generateReport command executed');
+		try {
+			/** @type {(vscode.QuickPickItem & { id: ReportFormat, extension: string, language: string })[]} */
+			const formats = [
+				{ label: 'JSON', description: 'Stable, versioned shape for collecting and comparing machines', id: 'json', extension: 'json', language: 'json' },
+				{ label: 'Markdown', description: 'Readable summary with a table per category', id: 'markdown', extension: 'md', language: 'markdown' },
+				{ label: 'CSV', description: 'One row per item, for spreadsheets', id: 'csv', extension: 'csv', language: 'plaintext' }
+			];
+			const format = await vscode.window.showQuickPick(formats, { placeHolder: 'Select the report format' });
+			if (!format) return;
+
+			const destination = await vscode.window.showQuickPick(
+				[{ label: 'Open in an untitled editor', id: 'editor' }, { label: 'Save to a file...', id: 'file' }],
+				{ placeHolder: 'Where should the report go?' }
+			);
+			if (!destination) return;
+
+			const report = await vscode.window.withProgress(
+				{ location: vscode.ProgressLocation.Notification, title: 'Generating disk usage report', cancellable: true },
+				async (progress, token) => {
+					progress.report({ message: 'Looking for items' });
+					const items = await collectReportItems();
+					if (!await measureReportItems(items, progress, token)) return undefined;
+					const freeBytes = await getFreeDiskSpace().catch(() => null);
+					return createDiskUsageReport(items, { extensionVersion: context.extension.packageJSON.version, freeBytes });
 				}
+			);
+			if (!report) return;
+
+			const content = formatDiskUsageReport(report, format.id);
+			if (destination.id === 'editor') {
+				const document = await vscode.workspace.openTextDocument({ content, language: format.language });
+				await vscode.window.showTextDocument(document);
+				return;
 			}
 
-			// Clean iOS Simulator Runtime
-			if (process.platform === 'darwin') {
-				const runtimePath = '/System/Library/AssetsV2/com_apple_MobileAsset_iOSSimulatorRuntime';
-				if (fs.existsSync(runtimePath)) {
-					const xmlPath = path.join(runtimePath, 'com_apple_MobileAsset_iOSSimulatorRuntime.xml');
-					if (fs.existsSync(xmlPath)) {
-						const xmlContent = fs.readFileSync(xmlPath, 'utf8');
-						const result = await parseString(xmlContent);
-						
-						const usedRuntimes = new Set();
-						if (result.assets && result.assets.asset) {
-							result.assets.asset.forEach(asset => {
-								if (asset.$.state === 'installed') {
-									usedRuntimes.add(asset.$.assetId);
-								}
-							});
-						}
+			const defaultFolder = vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0].uri.fsPath : getHostEnvironment().homeDir;
+			const fileName = `disk-usage-${os.hostname()}-${report.generatedAt.slice(0, 10)}.${format.extension}`;
+			const uri = await vscode.window.showSaveDialog({
+				defaultUri: vscode.Uri.file(path.join(defaultFolder, fileName)),
+				filters: { [format.label]: [format.extension] }
+			});
+			if (!uri) return;
 
-						const assetFolders = fs.readdirSync(runtimePath)
-							.filter(item => item.endsWith('.asset'))
-							.map(folder => ({
-								label: folder,
-								path: path.join(runtimePath, folder),
-								isUsed: usedRuntimes.has(folder.replace('.asset', ''))
-							}));
-
-						const versionsToRemove = assetFolders.filter(asset => !asset.isUsed);
-						for (const version of versionsToRemove) {
-							const size = getFolderSize(version.path);
-							await deleteFolderRecursive(version.path);
-							totalSize += size;
-							removedCount++;
-						}
-					}
+			fs.writeFileSync(uri.fsPath, content);
+			const choice = await vscode.window.showInformationMessage(
+				`Disk usage report saved: ${report.totals.itemCount} items, ${formatBytes(report.totals.sizeBytes)}`,
+				'Open'
+			);
+			if (choice === 'Open') vscode.window.showTextDocument(uri);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error generating disk usage report: ${error.message}`);
+		}
+	});
+
+	// Open dashboard command
+	const openDashboardCommand = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.openDashboard', () => {
+		log('openDashboard command executed');
+		openDashboard(context);
+	});
+
+	// Show cleanup history command
+	const showHistory = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.showHistory', async () => {
+		log('showHistory command executed');
+		try {
+			const entries = readCleanupHistory();
+			if (entries.length === 0) {
+				vscode.window.showInformationMessage('Nothing has been cleaned yet');
+				return;
+			}
+			const document = await vscode.workspace.openTextDocument({ content: formatCleanupHistory(entries), language: 'markdown' });
+			await vscode.window.showTextDocument(document);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error showing cleanup history: ${error.message}`);
+		}
+	});
+
+	// Restore quarantined items command
+	const restoreQuarantine = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.restoreQuarantine', async () => {
+		log('restoreQuarantine command executed');
+		try {
+			const purged = await purgeExpiredQuarantine(quarantineRoot);
+			if (purged.length > 0) {
+				const purgedSize = purged.reduce((sum, entry) => sum + entry.size, 0);
+				vscode.window.showInformationMessage(
+					`Permanently deleted ${purged.length} expired quarantined items, freeing ${formatBytes(purgedSize)}`
+				);
+			}
+
+			const entries = readQuarantineManifest(quarantineRoot);
+			if (entries.length === 0) {
+				vscode.window.showInformationMessage('No quarantined items found');
+				return;
+			}
+
+			const items = entries
+				.sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt))
+				.map(entry => ({
+					label: entry.label,
+					description: entry.originalPath,
+					detail: `${entry.category}, quarantined on ${new Date(entry.quarantinedAt).toLocaleString()}, size: ${formatBytes(entry.size)}`,
+					entry
+				}));
+
+			const selectedItems = await vscode.window.showQuickPick(
+				items,
+				{
+					canPickMany: true,
+					placeHolder: 'Select quarantined items to restore',
+					ignoreFocusOut: true
+				}
+			);
+
+			if (!selectedItems || selectedItems.length === 0) return;
+
+			let restoredCount = 0;
+			for (const item of selectedItems) {
+				try {
+					await restoreQuarantinedItem(quarantineRoot, item.entry);
+					restoredCount++;
+				} catch (error) {
+					vscode.window.showErrorMessage(`Error restoring ${item.label}: ${error.message}`);
 				}
 			}
 
-			vscode.window.showInformationMessage(
-				`Removed ${removedCount} items, freeing ${formatBytes(totalSize)}. Kept only the latest versions.`
+			vscode.window.showInformationMessage(`Restored ${restoredCount} quarantined items`);
+		} catch (error) {
+			vscode.window.showErrorMessage(`Error restoring quarantined items: ${error.message}`);
+		}
+	});
+
+	// Disk usage sidebar
+	const diskUsageProvider = new DiskUsageTreeProvider();
+	const diskUsageView = vscode.window.registerTreeDataProvider('mauiCleaner.diskUsage', diskUsageProvider);
+
+	const refreshDiskUsage = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.diskUsage.refresh', () => diskUsageProvider.refresh());
+
+	const revealDiskUsageItem = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.diskUsage.reveal', async (/** @type {UsageNode} */ node) => {
+		if (!node || !node.path) return;
+		if (!fs.existsSync(node.path)) {
+			vscode.window.showErrorMessage(`${node.path} does not exist`);
+			return;
+		}
+		await vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(node.path));
+	});
+
+	const deleteDiskUsageItem = vscode.commands.registerCommand('banditoth.VSCode-MAUI-DevCleaner.diskUsage.delete', async (/** @type {UsageNode} */ node) => {
+		log('diskUsage.delete command executed');
+		if (!node || !node.cleanupItems) return;
+		try {
+			const size = node.cleanupItems.reduce((sum, item) => sum + item.size, 0);
+			// Nodes such as required packs or runtimes in use need an explicit override
+			const confirmation = node.warning ? 'Delete Anyway' : 'Delete';
+			const confirm = await vscode.window.showWarningMessage(
+				`Delete ${node.label} (${formatBytes(size)})?`,
+				{ modal: true, detail: node.warning },
+				confirmation
 			);
+			if (confirm !== confirmation) return;
+
+			const result = await executeCleanupPlan(node.cleanupItems, 'Disk Usage sidebar');
+			if (!result) return;
+
+			vscode.window.showInformationMessage(`Removed ${node.label}, freeing ${formatBytes(result.totalSize)}`);
+			diskUsageProvider.refresh();
 		} catch (error) {
-			vscode.window.showErrorMessage(`Error cleaning all except latest versions: ${error.message}`);
+			vscode.window.showErrorMessage(`Error removing ${node.label}: ${error.message}`);
 		}
 	});
 
 	context.subscriptions.push(cleanBinObj);
 	context.subscriptions.push(cleanNugetCache);
+	context.subscriptions.push(cleanNugetPackages);
 	context.subscriptions.push(cleanIosDeviceSupport);
 	context.subscriptions.push(cleanAndroidSdk);
+	context.subscriptions.push(cleanAndroidAvds);
 	context.subscriptions.push(cleanIosSimulatorRuntime);
 	context.subscriptions.push(cleanDotnetPacks);
+	context.subscriptions.push(cleanDotnetSdks);
+	context.subscriptions.push(cleanLegacyXamarin);
 	context.subscriptions.push(cleanAllExceptLatest);
+	context.subscriptions.push(runCleanupProfile);
+	context.subscriptions.push(generateReport);
+	context.subscriptions.push(openDashboardCommand);
+	context.subscriptions.push(showHistory);
+	context.subscriptions.push(cleanBinObjHere);
+	context.subscriptions.push(deepCleanProject);
+	context.subscriptions.push(restoreQuarantine);
+	context.subscriptions.push(diskUsageView);
+	context.subscriptions.push(refreshDiskUsage);
+	context.subscriptions.push(revealDiskUsageItem);
+	context.subscriptions.push(deleteDiskUsageItem);
+
+	const diskSpaceMonitor = new DiskSpaceMonitor(context);
+	diskSpaceMonitor.start();
+	context.subscriptions.push(diskSpaceMonitor);
+
+	context.subscriptions.push(vscode.tasks.registerTaskProvider(TASK_TYPE, new CleanupTaskProvider()));
+
+	return createApi();
 }
 
 function deactivate() {}
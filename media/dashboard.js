@@ -0,0 +1,304 @@
+// Dashboard webview: draws the scanned items as a treemap and sends selections back to the extension
+(function () {
+	const vscode = acquireVsCodeApi();
+
+	// Items not modified for this many days pass the age filter
+	const OLD_ITEM_DAYS = 90;
+
+	// Height of the title strip of a category in the overview
+	const CATEGORY_TITLE_HEIGHT = 18;
+
+	// Number of category colours defined in dashboard.css
+	const COLOR_COUNT = 6;
+
+	const state = {
+		/** @type {{ id: number, category: string, name: string, version: string | null, path: string, sizeBytes: number, inUse: boolean | null, lastModified: string | null, deletable: boolean }[]} */
+		items: [],
+		freeBytes: null,
+		scanning: true,
+		cancelled: false,
+		selected: new Set(),
+		focusedCategory: null
+	};
+
+	const elements = {
+		summary: document.getElementById('summary'),
+		unusedFilter: /** @type {HTMLInputElement} */ (document.getElementById('filter-unused')),
+		oldFilter: /** @type {HTMLInputElement} */ (document.getElementById('filter-old')),
+		selection: document.getElementById('selection'),
+		clear: /** @type {HTMLButtonElement} */ (document.getElementById('clear')),
+		delete: /** @type {HTMLButtonElement} */ (document.getElementById('delete')),
+		refresh: /** @type {HTMLButtonElement} */ (document.getElementById('refresh')),
+		breadcrumb: document.getElementById('breadcrumb'),
+		treemap: document.getElementById('treemap'),
+		categories: document.querySelector('#categories tbody')
+	};
+
+	// Same format as the extension's size labels
+	function formatBytes(bytes) {
+		if (!bytes) return '0 Bytes';
+		const k = 1024;
+		const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+		const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+		return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+	}
+
+	function describe(item) {
+		const name = item.version && item.version !== item.name ? `${item.name} ${item.version}` : item.name;
+		return item.inUse ? `${name} (in use)` : name;
+	}
+
+	function passesFilters(item) {
+		if (elements.unusedFilter.checked && item.inUse === true) return false;
+		if (elements.oldFilter.checked) {
+			if (!item.lastModified) return false;
+			const ageDays = (Date.now() - new Date(item.lastModified).getTime()) / (24 * 60 * 60 * 1000);
+			if (ageDays < OLD_ITEM_DAYS) return false;
+		}
+		return true;
+	}
+
+	// Groups the filtered items by category, largest category first
+	function groupByCategory(items) {
+		const groups = new Map();
+		for (const item of items) {
+			if (!groups.has(item.category)) groups.set(item.category, { category: item.category, items: [], value: 0 });
+			const group = groups.get(item.category);
+			group.items.push(item);
+			group.value += item.sizeBytes;
+		}
+		return [...groups.values()].sort((a, b) => b.value - a.value);
+	}
+
+	// Worst aspect ratio of a row of cells laid out along a side
+	function worstRatio(row, side) {
+		const total = row.reduce((sum, cell) => sum + cell.area, 0);
+		const largest = Math.max(...row.map(cell => cell.area));
+		const smallest = Math.min(...row.map(cell => cell.area));
+		return Math.max((side * side * largest) / (total * total), (total * total) / (side * side * smallest));
+	}
+
+	// Squarified treemap layout: fills a rectangle with cells whose areas follow the values
+	function layoutTreemap(nodes, x, y, width, height) {
+		const cells = [];
+		const total = nodes.reduce((sum, node) => sum + node.value, 0);
+		if (total <= 0 || width <= 0 || height <= 0) return cells;
+
+		const scale = (width * height) / total;
+		let remaining = nodes
+			.filter(node => node.value > 0)
+			.sort((a, b) => b.value - a.value)
+			.map(node => ({ node, area: node.value * scale }));
+
+		while (remaining.length > 0) {
+			const side = Math.min(width, height);
+			const row = [remaining[0]];
+			let next = 1;
+			while (next < remaining.length && worstRatio([...row, remaining[next]], side) <= worstRatio(row, side)) {
+				row.push(remaining[next]);
+				next++;
+			}
+
+			const thickness = row.reduce((sum, cell) => sum + cell.area, 0) / side;
+			let offset = 0;
+			for (const cell of row) {
+				const length = cell.area / thickness;
+				if (width >= height) {
+					cells.push({ node: cell.node, x, y: y + offset, width: thickness, height: length });
+				} else {
+					cells.push({ node: cell.node, x: x + offset, y, width: length, height: thickness });
+				}
+				offset += length;
+			}
+			if (width >= height) {
+				x += thickness;
+				width -= thickness;
+			} else {
+				y += thickness;
+				height -= thickness;
+			}
+			remaining = remaining.slice(next);
+		}
+		return cells;
+	}
+
+	function place(element, cell) {
+		element.style.left = `${cell.x}px`;
+		element.style.top = `${cell.y}px`;
+		element.style.width = `${cell.width}px`;
+		element.style.height = `${cell.height}px`;
+	}
+
+	function showMessage(text) {
+		const message = document.createElement('div');
+		message.className = 'message';
+		message.textContent = text;
+		elements.treemap.appendChild(message);
+	}
+
+	function drawItems(parent, items, colorClass, x, y, width, height) {
+		const nodes = items.map(item => ({ item, value: item.sizeBytes }));
+		for (const cell of layoutTreemap(nodes, x, y, width, height)) {
+			const { item } = cell.node;
+			const element = document.createElement('div');
+			element.className = `item ${colorClass}`;
+			element.classList.toggle('in-use', item.inUse === true);
+			element.classList.toggle('locked', !item.deletable);
+			element.classList.toggle('selected', state.selected.has(item.id));
+			element.title = `${describe(item)}\n${item.path}\n${formatBytes(item.sizeBytes)}` +
+				(item.lastModified ? `\nModified ${new Date(item.lastModified).toLocaleDateString()}` : '') +
+				(item.deletable ? '' : '\nCleaned with its own command, not from the dashboard');
+			if (cell.width > 50 && cell.height > 14) element.textContent = describe(item);
+			place(element, cell);
+			element.addEventListener('click', event => {
+				event.stopPropagation();
+				if (!item.deletable) return;
+				if (state.selected.has(item.id)) {
+					state.selected.delete(item.id);
+				} else {
+					state.selected.add(item.id);
+				}
+				render();
+			});
+			parent.appendChild(element);
+		}
+	}
+
+	function drawTreemap(groups, colorOf) {
+		elements.treemap.replaceChildren();
+		const width = elements.treemap.clientWidth;
+		const height = elements.treemap.clientHeight;
+
+		if (state.scanning) return showMessage('Scanning... Sizes appear once every location has been measured.');
+		if (state.cancelled && state.items.length === 0) return showMessage('The scan was cancelled. Press Refresh to scan again.');
+		if (groups.every(group => group.value === 0)) return showMessage('Nothing matches the filters.');
+
+		const focused = groups.find(group => group.category === state.focusedCategory);
+		if (focused) {
+			drawItems(elements.treemap, focused.items, colorOf(focused.category), 0, 0, width, height);
+			return;
+		}
+
+		for (const cell of layoutTreemap(groups, 0, 0, width, height)) {
+			const group = cell.node;
+			const element = document.createElement('div');
+			element.className = 'category';
+			place(element, cell);
+
+			const hasTitle = cell.height > CATEGORY_TITLE_HEIGHT * 2 && cell.width > 40;
+			if (hasTitle) {
+				const title = document.createElement('div');
+				title.className = `category-title ${colorOf(group.category)}`;
+				title.textContent = `${group.category} · ${formatBytes(group.value)}`;
+				title.title = `Show only ${group.category}`;
+				title.addEventListener('click', () => focusCategory(group.category));
+				element.appendChild(title);
+			}
+			const top = hasTitle ? CATEGORY_TITLE_HEIGHT : 0;
+			drawItems(element, group.items, colorOf(group.category), 0, top, cell.width - 2, cell.height - top - 2);
+			elements.treemap.appendChild(element);
+		}
+	}
+
+	function drawBreadcrumb() {
+		elements.breadcrumb.replaceChildren();
+		if (!state.focusedCategory) {
+			elements.breadcrumb.textContent = 'All categories';
+			return;
+		}
+		const all = document.createElement('a');
+		all.textContent = 'All categories';
+		all.addEventListener('click', () => focusCategory(null));
+		elements.breadcrumb.append(all, ` › ${state.focusedCategory}`);
+	}
+
+	function drawCategoryTable(groups, colorOf) {
+		elements.categories.replaceChildren();
+		for (const group of groups) {
+			const row = document.createElement('tr');
+			row.classList.toggle('focused', group.category === state.focusedCategory);
+			row.title = `Show only ${group.category}`;
+
+			const name = document.createElement('td');
+			const swatch = document.createElement('span');
+			swatch.className = `swatch ${colorOf(group.category)}`;
+			name.append(swatch, group.category);
+			const count = document.createElement('td');
+			count.textContent = String(group.items.length);
+			const size = document.createElement('td');
+			size.textContent = formatBytes(group.value);
+
+			row.append(name, count, size);
+			row.addEventListener('click', () => focusCategory(group.category === state.focusedCategory ? null : group.category));
+			elements.categories.appendChild(row);
+		}
+	}
+
+	function render() {
+		const visible = state.items.filter(passesFilters);
+		const groups = groupByCategory(visible);
+
+		// Colours follow the full category list, so filtering does not recolour the chart
+		const allCategories = groupByCategory(state.items).map(group => group.category);
+		const colorOf = category => `color-${allCategories.indexOf(category) % COLOR_COUNT}`;
+
+		const total = visible.reduce((sum, item) => sum + item.sizeBytes, 0);
+		elements.summary.textContent = state.scanning
+			? 'Scanning...'
+			: `${visible.length} items, ${formatBytes(total)}` + (state.freeBytes === null ? '' : ` · ${formatBytes(state.freeBytes)} free`);
+
+		// Selections hidden by a filter are dropped rather than deleted unseen
+		const visibleIds = new Set(visible.map(item => item.id));
+		state.selected.forEach(id => {
+			if (!visibleIds.has(id)) state.selected.delete(id);
+		});
+		const selectedSize = visible.filter(item => state.selected.has(item.id)).reduce((sum, item) => sum + item.sizeBytes, 0);
+		elements.selection.textContent = state.selected.size > 0 ? `${state.selected.size} selected, ${formatBytes(selectedSize)}` : '';
+		elements.delete.disabled = state.scanning || state.selected.size === 0;
+		elements.clear.disabled = state.selected.size === 0;
+		elements.refresh.disabled = state.scanning;
+
+		drawBreadcrumb();
+		drawCategoryTable(groups, colorOf);
+		drawTreemap(groups, colorOf);
+	}
+
+	function focusCategory(category) {
+		state.focusedCategory = category;
+		render();
+	}
+
+	elements.unusedFilter.addEventListener('change', render);
+	elements.oldFilter.addEventListener('change', render);
+	elements.clear.addEventListener('click', () => {
+		state.selected.clear();
+		render();
+	});
+	elements.delete.addEventListener('click', () => {
+		vscode.postMessage({ type: 'delete', ids: [...state.selected] });
+	});
+	elements.refresh.addEventListener('click', () => {
+		vscode.postMessage({ type: 'refresh' });
+	});
+	window.addEventListener('resize', render);
+
+	window.addEventListener('message', event => {
+		const message = event.data;
+		if (message.type === 'scanning') {
+			state.scanning = true;
+		} else if (message.type === 'cancelled') {
+			state.scanning = false;
+			state.cancelled = true;
+		} else if (message.type === 'items') {
+			state.scanning = false;
+			state.cancelled = false;
+			state.items = message.items;
+			state.freeBytes = message.freeBytes;
+			state.selected.clear();
+		}
+		render();
+	});
+
+	render();
+	vscode.postMessage({ type: 'ready' });
+}());
@@ -0,0 +1,9 @@
+// Globals VS Code provides to the dashboard webview
+
+interface VsCodeApi {
+	postMessage(message: unknown): void;
+	getState(): unknown;
+	setState<T>(state: T): T;
+}
+
+declare function acquireVsCodeApi(): VsCodeApi;
@@ -1,9 +1,21 @@
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // You can import and use all API from the 'vscode' module
 // as well as import your extension to test it
 const vscode = require('vscode');
-// const myExtension = require('../extension');
+const myExtension = require('../extension');
+const core = require('../core');
+
+// Sorts folder names oldest first using the extension's version parser
+function sortVersions(scheme, names) {
+	return [...names].sort((a, b) => core.compareVersions(
+		core.parseVersion(scheme, a),
+		core.parseVersion(scheme, b)
+	));
+}
 
 suite('Extension Test Suite', () => {
 	vscode.window.showInformationMessage('Start all tests.');
@@ -12,4 +24,1185 @@ suite('Extension Test Suite', () => {
 		assert.strictEqual(-1, [1, 2, 3].indexOf(5));
 		assert.strictEqual(-1, [1, 2, 3].indexOf(0));
 	});
+
+	test('Exports nothing but activate and deactivate', () => {
+		assert.deepStrictEqual(Object.keys(myExtension), ['activate', 'deactivate']);
+	});
+});
+
+suite('Version Parsing', () => {
+	test('Orders Android platforms including preview codenames', () => {
+		assert.deepStrictEqual(
+			sortVersions('android-platforms', ['android-VanillaIceCream', 'android-34', 'android-9', 'android-34-ext12']),
+			['android-9', 'android-34', 'android-34-ext12', 'android-VanillaIceCream']
+		);
+	});
+
+	test('Ranks stable build-tools above their release candidates', () => {
+		assert.deepStrictEqual(
+			sortVersions('android-build-tools', ['35.0.0', '35.0.0-rc1', '34.0.0', '35.0.0-rc2']),
+			['34.0.0', '35.0.0-rc1', '35.0.0-rc2', '35.0.0']
+		);
+	});
+
+	test('Orders .NET pack prereleases numerically', () => {
+		assert.deepStrictEqual(
+			sortVersions('dotnet-packs', ['9.0.0', '9.0.0-preview.10.1', '9.0.0-rc.1.24431.7', '9.0.0-preview.7.24405.7', '8.0.10']),
+			['8.0.10', '9.0.0-preview.7.24405.7', '9.0.0-preview.10.1', '9.0.0-rc.1.24431.7', '9.0.0']
+		);
+	});
+
+	test('Parses iOS Device Support folder names', () => {
+		const parsed = core.parseVersion('ios-device-support', 'iPhone15,2 17.5 (21F79)');
+		assert.strictEqual(parsed.group, 'iPhone15,2');
+		assert.deepStrictEqual(parsed.numbers, [17, 5]);
+		assert.strictEqual(parsed.build, '21F79');
+		assert.deepStrictEqual(
+			sortVersions('ios-device-support', ['17.5 (21F79)', '17.10 (21A1)', '9.3 (13E230)']),
+			['9.3 (13E230)', '17.5 (21F79)', '17.10 (21A1)']
+		);
+	});
+
+	test('Groups nested system images by tag and ABI', () => {
+		const parsed = core.parseVersion('android-system-images', 'android-34/google_apis/x86_64');
+		assert.strictEqual(parsed.group, 'google_apis/x86_64');
+		assert.deepStrictEqual(parsed.numbers, [34]);
+	});
+});
+
+suite('Retention Policy', () => {
+	const versions = names => names.map(version => ({ version }));
+	const removed = (names, policy) => core.selectVersionsToRemove(versions(names), 'dotnet-packs', policy)
+		.map(item => item.version);
+
+	test('Keeps the newest stable version next to a newer preview', () => {
+		assert.deepStrictEqual(
+			removed(['9.0.0-rc.1.2', '8.0.10', '8.0.8', '9.0.0-preview.7.1'], { keepCount: 1, keepLatestPatchPerMajor: false, keepNewestStable: true }),
+			['9.0.0-preview.7.1', '8.0.8']
+		);
+	});
+
+	test('Keeps the N newest versions', () => {
+		assert.deepStrictEqual(
+			removed(['8.0.1', '8.0.3', '8.0.2'], { keepCount: 2, keepLatestPatchPerMajor: false, keepNewestStable: false }),
+			['8.0.1']
+		);
+	});
+
+	test('Keeps the latest patch of each major version', () => {
+		assert.deepStrictEqual(
+			removed(['8.0.10', '8.0.8', '7.0.1', '7.0.0'], { keepCount: 1, keepLatestPatchPerMajor: true, keepNewestStable: false }),
+			['8.0.8', '7.0.0']
+		);
+	});
+
+	test('Ranks system images only against the same tag and ABI', () => {
+		const images = versions(['android-34/google_apis/x86_64', 'android-33/google_apis/x86_64', 'android-33/default/x86_64']);
+		const policy = { keepCount: 1, keepLatestPatchPerMajor: false, keepNewestStable: true };
+		assert.deepStrictEqual(
+			core.selectVersionsToRemove(images, 'android-system-images', policy).map(item => item.version),
+			['android-33/google_apis/x86_64']
+		);
+	});
+});
+
+suite('Folder Sizes', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-sizes-'));
+		fs.mkdirSync(path.join(root, 'bin', 'Debug'), { recursive: true });
+		fs.writeFileSync(path.join(root, 'bin', 'Debug', 'App.dll'), Buffer.alloc(10));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('Reuses a size until the folder is invalidated', async () => {
+		assert.strictEqual(await core.getFolderSize(root), 10);
+
+		// Writing deep inside the folder leaves its modification time unchanged
+		fs.writeFileSync(path.join(root, 'bin', 'Debug', 'App.pdb'), Buffer.alloc(5));
+		assert.strictEqual(await core.getFolderSize(root), 10);
+
+		core.invalidateFolderSize(path.join(root, 'bin', 'Debug'));
+		assert.strictEqual(await core.getFolderSize(root), 15);
+	});
+
+	test('Measures again once the cached size has expired', async () => {
+		assert.strictEqual(await core.getFolderSize(root), 10);
+		fs.writeFileSync(path.join(root, 'bin', 'Debug', 'App.pdb'), Buffer.alloc(5));
+
+		const now = Date.now;
+		Date.now = () => now() + core.FOLDER_SIZE_CACHE_LIFETIME;
+		try {
+			assert.strictEqual(await core.getFolderSize(root), 15);
+		} finally {
+			Date.now = now;
+		}
+	});
+});
+
+suite('Android SDK Discovery', () => {
+	const savedEnvironment = { ANDROID_HOME: process.env.ANDROID_HOME, ANDROID_SDK_ROOT: process.env.ANDROID_SDK_ROOT };
+	let sdkRoot;
+
+	setup(() => {
+		sdkRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-sdk-'));
+	});
+
+	teardown(() => {
+		for (const [name, value] of Object.entries(savedEnvironment)) {
+			if (value === undefined) delete process.env[name];
+			else process.env[name] = value;
+		}
+		fs.rmSync(sdkRoot, { recursive: true, force: true });
+	});
+
+	test('Lists an SDK found through several sources once', async () => {
+		process.env.ANDROID_HOME = sdkRoot;
+		process.env.ANDROID_SDK_ROOT = sdkRoot;
+		const matches = (await core.getAndroidSdkLocations())
+			.filter(location => fs.realpathSync(location.path) === fs.realpathSync(sdkRoot));
+		assert.deepStrictEqual(matches.map(location => location.source), ['ANDROID_HOME']);
+	});
+
+	test('Skips locations that do not exist', async () => {
+		process.env.ANDROID_HOME = path.join(sdkRoot, 'missing');
+		process.env.ANDROID_SDK_ROOT = sdkRoot;
+		const sources = (await core.getAndroidSdkLocations()).map(location => location.source);
+		assert.ok(!sources.includes('ANDROID_HOME'));
+		assert.ok(sources.includes('ANDROID_SDK_ROOT'));
+	});
+});
+
+suite('Android Emulators', () => {
+	let root;
+	let host;
+
+	// Registers an AVD the way avdmanager does, with an .ini next to its .avd folder
+	function createAvd(name, config, files = []) {
+		const avdPath = path.join(root, 'avd', `${name}.avd`);
+		fs.mkdirSync(avdPath, { recursive: true });
+		fs.writeFileSync(path.join(root, 'avd', `${name}.ini`), `avd.ini.encoding=UTF-8\npath.rel=avd/${name}.avd\n`);
+		fs.writeFileSync(path.join(avdPath, 'config.ini'), Object.entries(config).map(([key, value]) => `${key}=${value}`).join('\n'));
+		for (const file of files) {
+			fs.writeFileSync(path.join(avdPath, file), '');
+		}
+	}
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-avd-'));
+		host = { platform: 'linux', env: { ANDROID_USER_HOME: root }, homeDir: root };
+		createAvd('Pixel_7', { 'avd.ini.displayname': 'Pixel 7', 'image.sysdir.1': 'system-images/android-34/google_apis/x86_64/' }, ['hardware-qemu.ini.lock']);
+		createAvd('Pixel_7_Pro', { 'image.sysdir.1': 'system-images\\android-35\\google_apis\\x86_64\\' });
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('Reads names, folders and system images', () => {
+		const avds = core.readAndroidAvds([], host);
+		assert.deepStrictEqual(avds.map(avd => [avd.name, avd.displayName, avd.systemImage]), [
+			['Pixel_7', 'Pixel 7', 'android-34/google_apis/x86_64'],
+			['Pixel_7_Pro', 'Pixel_7_Pro', 'android-35/google_apis/x86_64']
+		]);
+		assert.strictEqual(avds[0].path, path.join(root, 'avd', 'Pixel_7.avd'));
+		assert.strictEqual(avds[0].iniPath, path.join(root, 'avd', 'Pixel_7.ini'));
+	});
+
+	test('Ignores lock files no emulator holds', () => {
+		const running = commandLines => core.readAndroidAvds(commandLines, host)
+			.filter(avd => avd.isRunning)
+			.map(avd => avd.name);
+		assert.deepStrictEqual(running([]), []);
+		assert.deepStrictEqual(running(['/home/dev/Android/Sdk/emulator/qemu/linux-x86_64/qemu-system-x86_64 -netdelay none -avd Pixel_7']), ['Pixel_7']);
+		assert.deepStrictEqual(running(['/home/dev/Android/Sdk/emulator/emulator @Pixel_7']), ['Pixel_7']);
+		assert.deepStrictEqual(running(['/home/dev/Android/Sdk/emulator/emulator -avd Pixel_7_Pro', 'vim -avd Pixel_7']), []);
+		// Without a process list the lock files are all there is to go by
+		assert.deepStrictEqual(running(undefined), ['Pixel_7']);
+	});
+});
+
+suite('Android Packages', () => {
+	const linux = { platform: 'linux', env: {}, homeDir: path.join(path.sep, 'home', 'dev') };
+	let sdkRoot;
+
+	setup(() => {
+		sdkRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-sdk-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(sdkRoot, { recursive: true, force: true });
+	});
+
+	// Creates an installed package folder, with a package.xml when one is given
+	function addPackage(relativePath, packageXml) {
+		const packagePath = path.join(sdkRoot, ...relativePath.split('/'));
+		fs.mkdirSync(packagePath, { recursive: true });
+		if (packageXml) fs.writeFileSync(path.join(packagePath, 'package.xml'), packageXml);
+		return packagePath;
+	}
+
+	// Installs a fake sdkmanager running the given shell script
+	function addSdkManager(script) {
+		const binPath = path.join(sdkRoot, 'cmdline-tools', 'latest', 'bin');
+		fs.mkdirSync(binPath, { recursive: true });
+		fs.writeFileSync(path.join(binPath, 'sdkmanager'), `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+	}
+
+	test('Reads the package id, name and revision from package.xml', async () => {
+		const packagePath = addPackage('system-images/android-35/google_apis/x86_64', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<ns2:repository xmlns:ns2="http://schemas.android.com/repository/android/common/02">
+	<localPackage path="system-images;android-35;google_apis;x86_64" obsolete="false">
+		<revision><major>9</major><minor>1</minor><preview>2</preview></revision>
+		<display-name>Google APIs Intel x86_64 Atom System Image</display-name>
+	</localPackage>
+</ns2:repository>`);
+		assert.deepStrictEqual(await core.readAndroidPackage(sdkRoot, packagePath), {
+			id: 'system-images;android-35;google_apis;x86_64',
+			displayName: 'Google APIs Intel x86_64 Atom System Image',
+			revision: '9.1 rc2'
+		});
+	});
+
+	test('Derives the package id from the folder without a readable package.xml', async () => {
+		assert.deepStrictEqual(await core.readAndroidPackage(sdkRoot, addPackage('build-tools/35.0.0')), { id: 'build-tools;35.0.0' });
+		assert.deepStrictEqual(await core.readAndroidPackage(sdkRoot, addPackage('platforms/android-35', '<not xml')), { id: 'platforms;android-35' });
+	});
+
+	test('Passes the package id to sdkmanager as a single argument', async function () {
+		if (process.platform === 'win32') this.skip();
+		const argsFile = path.join(sdkRoot, 'args.txt');
+		addSdkManager(`printf '%s\\n' "$@" > '${argsFile}'\nrm -rf "\${3#--sdk_root=}/platforms/android-35"`);
+		const packagePath = addPackage('platforms/android-35');
+		assert.strictEqual(await core.uninstallAndroidPackage({ sdkRoot, id: 'platforms;android-35' }, packagePath, linux), true);
+		assert.deepStrictEqual(fs.readFileSync(argsFile, 'utf8').trim().split('\n'), ['--uninstall', 'platforms;android-35', `--sdk_root=${sdkRoot}`]);
+	});
+
+	test('Deletes the folder when sdkmanager fails', async () => {
+		addSdkManager('exit 1');
+		const packagePath = addPackage('platforms/android-34');
+		assert.strictEqual(await core.uninstallAndroidPackage({ sdkRoot, id: 'platforms;android-34' }, packagePath, linux), false);
+		await core.removePermanently({ category: 'Android platforms', label: 'android-34', path: packagePath, androidPackage: { sdkRoot, id: 'platforms;android-34' } });
+		assert.ok(!fs.existsSync(packagePath));
+	});
+
+	test('Stops sdkmanager when it does not finish in time', async function () {
+		if (process.platform === 'win32') this.skip();
+		addSdkManager('exec sleep 10');
+		const packagePath = addPackage('platforms/android-33');
+		const started = Date.now();
+		assert.strictEqual(await core.uninstallAndroidPackage({ sdkRoot, id: 'platforms;android-33' }, packagePath, linux, 200), false);
+		assert.ok(Date.now() - started < 5000);
+	});
+});
+
+suite('Platform Locations', () => {
+	const linux = env => ({ platform: 'linux', env, homeDir: path.join(path.sep, 'home', 'dev') });
+
+	test('Looks for .NET in DOTNET_ROOT, dotnet-install and distro folders on Linux', () => {
+		assert.deepStrictEqual(
+			core.getDotnetRootCandidates(linux({ DOTNET_ROOT: '/opt/dotnet' })),
+			['/opt/dotnet', path.join(path.sep, 'home', 'dev', '.dotnet'), '/usr/share/dotnet', '/usr/lib/dotnet', '/usr/lib64/dotnet', '/usr/local/share/dotnet']
+		);
+	});
+
+	test('Lists a .NET installation reached through a link once', () => {
+		const home = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-home-'));
+		try {
+			const dotnetRoot = path.join(home, 'dotnet');
+			fs.mkdirSync(dotnetRoot);
+			fs.symlinkSync(dotnetRoot, path.join(home, '.dotnet'), 'junction');
+			const roots = core.getDotnetRoots({ platform: 'linux', env: { DOTNET_ROOT: dotnetRoot }, homeDir: home });
+			assert.deepStrictEqual(roots.filter(root => root.startsWith(home)), [dotnetRoot]);
+		} finally {
+			fs.rmSync(home, { recursive: true, force: true });
+		}
+	});
+
+	test('Uses the Android Studio SDK folder on Linux', () => {
+		assert.deepStrictEqual(
+			core.getAndroidSdkDefaults(linux({})).map(location => location.path),
+			[path.join(path.sep, 'home', 'dev', 'Android', 'Sdk')]
+		);
+	});
+
+	test('Honours Android and NuGet environment overrides', () => {
+		assert.strictEqual(core.getAndroidAvdHome(linux({})), path.join(path.sep, 'home', 'dev', '.android', 'avd'));
+		assert.strictEqual(core.getAndroidAvdHome(linux({ ANDROID_USER_HOME: '/data/android' })), path.join('/data/android', 'avd'));
+		assert.strictEqual(core.getAndroidAvdHome(linux({ ANDROID_AVD_HOME: '/data/avd' })), '/data/avd');
+		assert.strictEqual(core.getNugetPackagesPath(linux({})), path.join(path.sep, 'home', 'dev', '.nuget', 'packages'));
+		assert.strictEqual(core.getNugetPackagesPath(linux({ NUGET_PACKAGES: '/cache/nuget' })), '/cache/nuget');
+	});
+
+	test('Plans no iOS cleanups outside macOS', async () => {
+		const categories = core.resolveProfileCategories({ name: 'iOS', categories: ['iosDeviceSupport', 'iosSimulatorRuntimes'] });
+		assert.deepStrictEqual(await core.buildCleanupPlan(categories, linux({})), []);
+	});
+
+	test('Reports the platform of the host', () => {
+		const report = core.createDiskUsageReport([], { extensionVersion: '1.0.0' }, linux({}));
+		assert.strictEqual(report.machine.platform, 'linux');
+	});
+});
+
+suite('Workspace Packs', () => {
+	let dotnetRoot;
+
+	setup(() => {
+		dotnetRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-dotnet-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(dotnetRoot, { recursive: true, force: true });
+	});
+
+	// Writes a WorkloadManifest.json below sdk-manifests
+	function writeManifest(folder, packs) {
+		const manifestFolder = path.join(dotnetRoot, 'sdk-manifests', ...folder);
+		fs.mkdirSync(manifestFolder, { recursive: true });
+		fs.writeFileSync(path.join(manifestFolder, 'WorkloadManifest.json'), JSON.stringify({ version: '1.0', packs }));
+	}
+
+	test('Derives SDK feature bands from SDK versions', () => {
+		assert.strictEqual(core.getSdkFeatureBand('9.0.203'), '9.0.200');
+		assert.strictEqual(core.getSdkFeatureBand('8.0.100-rc.2.23502.2'), '8.0.100');
+		assert.strictEqual(core.getSdkFeatureBand('preview'), null);
+	});
+
+	test('Reads manifest packs of a band, including preview bands, workload sets and aliases', () => {
+		writeManifest(['9.0.100', 'microsoft.net.sdk.android'], {
+			'Microsoft.Android.Sdk': { kind: 'sdk', version: '35.0.7', 'alias-to': { 'win-x64': 'Microsoft.Android.Sdk.Windows', 'linux-x64': 'Microsoft.Android.Sdk.Linux' } }
+		});
+		writeManifest(['9.0.100-rc.2', 'microsoft.net.sdk.maui', '9.0.0-rc.2'], {
+			'Microsoft.Maui.Sdk': { kind: 'sdk', version: '9.0.0-rc.2.24503.2' }
+		});
+		writeManifest(['9.0.200', 'microsoft.net.sdk.ios'], {
+			'Microsoft.iOS.Sdk': { kind: 'sdk', version: '18.2.9170' }
+		});
+
+		const packs = core.readWorkloadManifestPacks('9.0.100', [dotnetRoot]);
+		assert.deepStrictEqual([...packs.keys()].sort(), ['Microsoft.Android.Sdk.Linux', 'Microsoft.Android.Sdk.Windows', 'Microsoft.Maui.Sdk']);
+		assert.deepStrictEqual([...packs.get('Microsoft.Maui.Sdk')], ['9.0.0-rc.2.24503.2']);
+	});
+
+	test('Matches required pack names regardless of case', () => {
+		const requiredPacks = new Map([['microsoft.maui.sdk', new Set(['9.0.10'])]]);
+		assert.ok(core.isPackVersionRequired(requiredPacks, 'Microsoft.Maui.Sdk', '9.0.10'));
+		assert.ok(!core.isPackVersionRequired(requiredPacks, 'Microsoft.Maui.Sdk', '9.0.0'));
+	});
+});
+
+suite('.NET Installation', () => {
+	let savedWorkspace;
+	let root;
+	let dotnetRoot;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-install-'));
+		dotnetRoot = path.join(root, 'dotnet');
+		for (const folder of ['sdk/8.0.404', 'sdk/9.0.100-preview.7.24407.12', 'sdk/9.0.100-rc.2.24474.11', 'sdk/9.0.100', 'sdk/NuGetFallbackFolder', 'sdk-manifests/8.0.400', 'sdk-manifests/9.0.100', 'template-packs']) {
+			fs.mkdirSync(path.join(dotnetRoot, folder), { recursive: true });
+		}
+		for (const file of ['microsoft.dotnet.common.itemtemplates.9.0.100.nupkg', 'microsoft.dotnet.common.itemtemplates.9.0.100-rc.2.24474.11.nupkg', 'readme.txt']) {
+			fs.writeFileSync(path.join(dotnetRoot, 'template-packs', file), '');
+		}
+		fs.mkdirSync(path.join(root, 'workspace'));
+		fs.writeFileSync(path.join(root, 'workspace', 'global.json'), JSON.stringify({ sdk: { version: '8.0.404' } }));
+		savedWorkspace = core.getWorkspace();
+		core.configure({ workspace: core.createDirectoryWorkspace(path.join(root, 'workspace')) });
+	});
+
+	teardown(() => {
+		core.configure({ workspace: savedWorkspace });
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	// Lists the versions of a component of the fixture installation
+	const versionsOf = name => core.listDotnetComponentVersions(core.getDotnetInstallComponents(dotnetRoot).find(component => component.name === name))
+		.map(({ version }) => version)
+		.sort();
+
+	test('Lists SDK folders and template package files, skipping anything else', () => {
+		assert.deepStrictEqual(versionsOf('.NET SDKs'), ['8.0.404', '9.0.100', '9.0.100-preview.7.24407.12', '9.0.100-rc.2.24474.11']);
+		assert.deepStrictEqual(versionsOf('Template Packs'), ['9.0.100', '9.0.100-rc.2.24474.11']);
+	});
+
+	test('Removes previews and release candidates before the release they lead up to', () => {
+		const sdks = core.listDotnetComponentVersions(core.getDotnetInstallComponents(dotnetRoot)[0]);
+		const removed = core.selectVersionsToRemove(sdks, 'dotnet-packs', { keepCount: 1, keepLatestPatchPerMajor: false, keepNewestStable: false });
+		assert.deepStrictEqual(removed.map(({ version }) => version), ['9.0.100-rc.2.24474.11', '9.0.100-preview.7.24407.12', '8.0.404']);
+	});
+
+	test('Marks the SDK and workload band pinned by global.json', async () => {
+		const pinnedSdks = new Set((await core.getWorkspaceSdkPins()).map(pin => pin.version));
+		assert.deepStrictEqual([...pinnedSdks], ['8.0.404']);
+		assert.strictEqual(core.getDotnetPinNote('.NET SDKs', '8.0.404', pinnedSdks), 'Pinned by global.json');
+		assert.strictEqual(core.getDotnetPinNote('.NET SDKs', '9.0.100', pinnedSdks), undefined);
+		assert.strictEqual(core.getDotnetPinNote('Workload Manifests', '8.0.400', pinnedSdks), 'Band of an SDK pinned by global.json');
+		assert.strictEqual(core.getDotnetPinNote('Workload Manifests', '9.0.100', pinnedSdks), undefined);
+		assert.strictEqual(core.getDotnetPinNote('Microsoft.NETCore.App', '8.0.404', pinnedSdks), undefined);
+	});
+});
+
+suite('NuGet Configuration', () => {
+	const savedPackages = process.env.NUGET_PACKAGES;
+	let savedWorkspace;
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-nuget-'));
+		fs.mkdirSync(path.join(root, 'src', 'App', 'obj'), { recursive: true });
+		delete process.env.NUGET_PACKAGES;
+		savedWorkspace = core.getWorkspace();
+		core.configure({ workspace: core.createDirectoryWorkspace(path.join(root, 'src')) });
+	});
+
+	teardown(() => {
+		core.configure({ workspace: savedWorkspace });
+		if (savedPackages === undefined) delete process.env.NUGET_PACKAGES;
+		else process.env.NUGET_PACKAGES = savedPackages;
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	// Writes a NuGet.Config setting the global packages folder
+	function writeConfig(folder, fileName, globalPackagesFolder) {
+		fs.writeFileSync(path.join(folder, fileName),
+			`<configuration><config><add key="globalPackagesFolder" value="${globalPackagesFolder}" /></config></configuration>`);
+	}
+
+	test('Resolves the global packages folder relative to its NuGet.Config', async () => {
+		writeConfig(root, 'NuGet.Config', '../packages');
+		assert.strictEqual(await core.readNugetGlobalPackagesFolder(path.join(root, 'NuGet.Config')), path.resolve(root, '..', 'packages'));
+
+		fs.writeFileSync(path.join(root, 'empty.config'), '<configuration><packageSources /></configuration>');
+		assert.strictEqual(await core.readNugetGlobalPackagesFolder(path.join(root, 'empty.config')), undefined);
+		fs.writeFileSync(path.join(root, 'broken.config'), '<configuration>');
+		assert.strictEqual(await core.readNugetGlobalPackagesFolder(path.join(root, 'broken.config')), undefined);
+	});
+
+	test('Lets the NuGet.Config closest to the workspace win', async () => {
+		writeConfig(root, 'NuGet.Config', 'outer-packages');
+		writeConfig(path.join(root, 'src'), 'nuget.config', 'inner-packages');
+		assert.strictEqual(await core.resolveNugetPackagesPath(), path.join(root, 'src', 'inner-packages'));
+
+		process.env.NUGET_PACKAGES = path.join(root, 'environment-packages');
+		assert.strictEqual(await core.resolveNugetPackagesPath(), path.join(root, 'environment-packages'));
+	});
+
+	test('Collects restored package versions, or null before the first restore', async () => {
+		assert.strictEqual(await core.getWorkspaceNugetReferences(), null);
+
+		fs.writeFileSync(path.join(root, 'src', 'App', 'obj', 'project.assets.json'), JSON.stringify({
+			libraries: {
+				'Newtonsoft.Json/13.0.3': { type: 'package' },
+				'Microsoft.Maui.Controls/9.0.10': { type: 'package' },
+				'Core/1.0.0': { type: 'project' }
+			}
+		}));
+		assert.deepStrictEqual([...await core.getWorkspaceNugetReferences()].sort(), ['microsoft.maui.controls/9.0.10', 'newtonsoft.json/13.0.3']);
+	});
+});
+
+suite('NuGet Locals', () => {
+	test('Reads the cache locations listed by current and older SDKs', () => {
+		const stdout = [
+			'http-cache: /home/dev/.local/share/NuGet/http-cache',
+			'global-packages: /home/dev/.nuget/packages/',
+			'info : temp: /tmp/NuGetScratch',
+			'plugins-cache: C:\\Users\\dev\\AppData\\Local\\NuGet\\plugins-cache  ',
+			''
+		].join('\r\n');
+		assert.deepStrictEqual(core.parseNugetLocals(stdout), [
+			{ name: 'http-cache', path: '/home/dev/.local/share/NuGet/http-cache' },
+			{ name: 'global-packages', path: '/home/dev/.nuget/packages/' },
+			{ name: 'temp', path: '/tmp/NuGetScratch' },
+			{ name: 'plugins-cache', path: 'C:\\Users\\dev\\AppData\\Local\\NuGet\\plugins-cache' }
+		]);
+	});
+
+	test('Ignores lines that are not cache locations', () => {
+		assert.deepStrictEqual(core.parseNugetLocals('Welcome to .NET 9.0!\n---------------------\nSDK Version: 9.0.100\n\n'), []);
+	});
+});
+
+suite('Cleanup Profiles', () => {
+	const profile = {
+		name: 'Team',
+		keepCount: 2,
+		protect: ['**/android-34/**'],
+		categories: ['androidSdk', { category: 'dotnetPacks', keepCount: 1, maxAgeDays: 30, protect: ['Microsoft.Maui.*'] }]
+	};
+
+	test('Category settings override the profile settings', () => {
+		const [androidSdk, dotnetPacks] = core.resolveProfileCategories(profile);
+		assert.strictEqual(androidSdk.rules.retention.keepCount, 2);
+		assert.strictEqual(androidSdk.rules.maxAgeDays, undefined);
+		assert.strictEqual(dotnetPacks.rules.retention.keepCount, 1);
+		assert.strictEqual(dotnetPacks.rules.maxAgeDays, 30);
+	});
+
+	test('Protect patterns match paths and labels', () => {
+		const [androidSdk, dotnetPacks] = core.resolveProfileCategories(profile);
+		assert.ok(androidSdk.rules.protect.some(pattern => pattern.test('/sdk/system-images/android-34/google_apis/x86_64')));
+		assert.ok(!androidSdk.rules.protect.some(pattern => pattern.test('/sdk/system-images/android-33/google_apis/x86_64')));
+		assert.ok(dotnetPacks.rules.protect.some(pattern => pattern.test('Microsoft.Maui.Sdk 9.0.10')));
+	});
+
+	test('Matches "**/" only at folder boundaries', () => {
+		const pattern = core.globToRegExp('**/node_modules');
+		assert.ok(pattern.test('node_modules'));
+		assert.ok(pattern.test('/src/App/node_modules'));
+		assert.ok(!pattern.test('/src/App/foo_node_modules'));
+	});
+
+	test('Matches a folder protected with a trailing "/**" itself', () => {
+		const pattern = core.globToRegExp('**/android-34/**');
+		assert.ok(pattern.test('/sdk/platforms/android-34'));
+		assert.ok(pattern.test('/sdk/system-images/android-34/google_apis/x86_64'));
+		assert.ok(!pattern.test('/sdk/platforms/android-340'));
+	});
+
+	test('Rejects unknown categories', () => {
+		assert.throws(() => core.resolveProfileCategories({ name: 'Typo', categories: ['nuget'] }), /unknown category "nuget"/);
+	});
+});
+
+suite('Disk Usage Report', () => {
+	const items = [
+		{ category: '.NET Packs', name: 'Microsoft.Android.Sdk.Linux', path: '/dotnet/packs/Microsoft.Android.Sdk.Linux/35.0.7', version: '35.0.7', sizeBytes: 300, inUse: false, lastModified: '2024-10-01T00:00:00.000Z' },
+		{ category: 'NuGet Locals', name: 'http-cache', path: '/home/dev/.local/share/NuGet/http-cache', version: null, sizeBytes: 200, inUse: null },
+		{ category: '.NET Packs', name: 'Microsoft.Android.Sdk.Linux', path: '/dotnet/packs/Microsoft.Android.Sdk.Linux/34.0.1', version: '34.0.1', sizeBytes: 100, inUse: true }
+	];
+	const report = core.createDiskUsageReport(items, { extensionVersion: '1.0.0', generatedAt: new Date('2024-11-01T00:00:00Z'), freeBytes: 1024 });
+
+	test('Has a versioned shape with totals per category', () => {
+		assert.strictEqual(report.schemaVersion, 1);
+		assert.deepStrictEqual(Object.keys(report), ['schemaVersion', 'generatedAt', 'generator', 'machine', 'totals', 'items']);
+		assert.deepStrictEqual(Object.keys(report.items[0]), ['category', 'name', 'path', 'version', 'sizeBytes', 'inUse', 'lastModified']);
+		assert.deepStrictEqual(report.totals, { sizeBytes: 600, itemCount: 3, categories: { '.NET Packs': 400, 'NuGet Locals': 200 } });
+		assert.deepStrictEqual(report.items.map(item => item.version), ['34.0.1', '35.0.7', null]);
+	});
+
+	test('Quotes CSV fields that need it', () => {
+		const csv = core.formatDiskUsageReport(
+			core.createDiskUsageReport([{ category: 'iOS Device Support', name: 'iPhone15,2 17.5 "beta"', path: '/ds', version: '17.5', sizeBytes: 1, inUse: null }], { extensionVersion: '1.0.0' }),
+			'csv'
+		);
+		assert.deepStrictEqual(csv.trim().split('\n'), [
+			'category,name,version,path,sizeBytes,inUse,lastModified',
+			'iOS Device Support,"iPhone15,2 17.5 ""beta""",17.5,/ds,1,,'
+		]);
+	});
+
+	test('Writes a Markdown table per category', () => {
+		const markdown = core.formatDiskUsageReport(report, 'markdown');
+		assert.ok(markdown.includes('## .NET Packs'));
+		assert.ok(markdown.includes('## NuGet Locals'));
+		assert.strictEqual(JSON.parse(core.formatDiskUsageReport(report, 'json')).totals.sizeBytes, 600);
+	});
+});
+
+suite('Dashboard', () => {
+	test('Only offers items the cleaners can remove for deletion', () => {
+		const items = core.toDashboardItems([
+			{ category: '.NET Packs', name: 'Microsoft.Android.Sdk.Linux', path: '/dotnet/packs/Microsoft.Android.Sdk.Linux/35.0.7', version: '35.0.7', sizeBytes: 300, inUse: false, cleanupItems: [{ category: '.NET Packs', label: 'Microsoft.Android.Sdk.Linux', path: '/dotnet/packs/Microsoft.Android.Sdk.Linux/35.0.7' }] },
+			{ category: 'NuGet Locals', name: 'http-cache', path: '/home/dev/.local/share/NuGet/http-cache', version: null, inUse: null }
+		]);
+		assert.deepStrictEqual(items.map(item => [item.id, item.sizeBytes, item.deletable]), [[0, 300, true], [1, 0, false]]);
+		assert.ok(items.every(item => !('cleanupItems' in item)));
+	});
+
+	test('Loads nothing but its own script and style sheet', () => {
+		const html = fs.readFileSync(path.join(__dirname, '..', 'media', 'dashboard.html'), 'utf8');
+		assert.match(html, /content="default-src 'none'; style-src \{\{cspSource\}\}; script-src 'nonce-\{\{nonce\}\}';"/);
+		assert.ok(!/https?:\/\//.test(html));
+		assert.ok(html.includes('<script nonce="{{nonce}}" src="{{scriptUri}}"></script>'));
+		assert.deepStrictEqual([...new Set(html.match(/\{\{\w+\}\}/g))].sort(), ['{{cspSource}}', '{{nonce}}', '{{scriptUri}}', '{{styleUri}}']);
+	});
+
+});
+
+suite('Quarantine', () => {
+	let savedWorkspace;
+	let root;
+	let quarantineRoot;
+
+	// Creates a folder to quarantine, holding a single file
+	function createItem(name) {
+		const itemPath = path.join(root, 'cache', name);
+		fs.mkdirSync(itemPath, { recursive: true });
+		fs.writeFileSync(path.join(itemPath, 'data.bin'), Buffer.alloc(10));
+		return { category: 'NuGet Packages', label: name, path: itemPath, size: 10 };
+	}
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-quarantine-'));
+		quarantineRoot = path.join(root, 'quarantine');
+		savedWorkspace = core.getWorkspace();
+		core.configure({ workspace: core.createDirectoryWorkspace(undefined, { 'quarantine.retentionDays': 3 }) });
+	});
+
+	teardown(() => {
+		core.configure({ workspace: savedWorkspace });
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('Moves items out of the way and restores them', async () => {
+		const item = createItem('newtonsoft.json');
+		await core.quarantineItem(quarantineRoot, item);
+		assert.ok(!fs.existsSync(item.path));
+
+		const [entry] = core.readQuarantineManifest(quarantineRoot);
+		assert.strictEqual(entry.originalPath, item.path);
+		assert.ok(fs.existsSync(path.join(quarantineRoot, entry.id, 'newtonsoft.json', 'data.bin')));
+
+		await core.restoreQuarantinedItem(quarantineRoot, entry);
+		assert.ok(fs.existsSync(path.join(item.path, 'data.bin')));
+		assert.ok(!fs.existsSync(path.join(quarantineRoot, entry.id)));
+		assert.deepStrictEqual(core.readQuarantineManifest(quarantineRoot), []);
+	});
+
+	test('Purges items kept longer than the retention', async () => {
+		await core.quarantineItem(quarantineRoot, createItem('old'));
+		await core.quarantineItem(quarantineRoot, createItem('recent'));
+		const day = 24 * 60 * 60 * 1000;
+		const manifest = core.readQuarantineManifest(quarantineRoot).map(entry => ({
+			...entry,
+			quarantinedAt: new Date(Date.now() - (entry.label === 'old' ? 4 : 1) * day).toISOString()
+		}));
+		fs.writeFileSync(path.join(quarantineRoot, 'manifest.json'), JSON.stringify(manifest));
+
+		const purged = await core.purgeExpiredQuarantine(quarantineRoot);
+		assert.deepStrictEqual(purged.map(entry => entry.label), ['old']);
+		assert.ok(!fs.existsSync(path.join(quarantineRoot, purged[0].id)));
+		assert.deepStrictEqual(core.readQuarantineManifest(quarantineRoot).map(entry => entry.label), ['recent']);
+	});
+
+	test('Leaves the item in place when it cannot be moved', async () => {
+		const item = createItem('locked');
+		fs.writeFileSync(quarantineRoot, 'not a folder');
+		await assert.rejects(core.quarantineItem(quarantineRoot, item));
+		assert.ok(fs.existsSync(path.join(item.path, 'data.bin')));
+	});
+});
+
+suite('Cleanup History', () => {
+	test('Adds up reclaimed space per cleaner and per category', () => {
+		const entries = [
+			{ timestamp: '2024-11-01T00:00:00.000Z', command: 'Android SDK', bytesFreed: 300, failedCount: 0, items: [
+				{ categoryId: 'androidSdk', category: 'System Images', label: 'android-33', path: '/sdk/system-images/android-33', size: 200 },
+				{ categoryId: 'androidSdk', category: 'Platforms', label: 'android-33', path: '/sdk/platforms/android-33', size: 100 }
+			] },
+			{ timestamp: '2024-11-02T00:00:00.000Z', command: 'All Except Latest Versions', bytesFreed: 70, failedCount: 1, items: [
+				{ categoryId: 'androidSdk', category: 'Android system-images', label: 'android-34', path: '/sdk/system-images/android-34', size: 50 },
+				{ categoryId: 'binObj', category: 'App', label: 'App/bin', path: '/src/App/bin', size: 20 }
+			] }
+		];
+		assert.deepStrictEqual(core.summarizeCleanupHistory(entries), {
+			bytesFreed: 370,
+			itemCount: 4,
+			commands: { 'Android SDK': 300, 'All Except Latest Versions': 70 },
+			categories: { androidSdk: 350, binObj: 20 }
+		});
+	});
+
+	test('Groups entries of older versions by their category label', () => {
+		const entries = [
+			{ timestamp: '2024-11-01T00:00:00.000Z', command: 'NuGet Cache', bytesFreed: 10, failedCount: 0, items: [
+				{ category: 'NuGet', label: 'http-cache', path: '/home/dev/.local/share/NuGet/http-cache', size: 10 }
+			] }
+		];
+		assert.deepStrictEqual(core.summarizeCleanupHistory(entries).categories, { NuGet: 10 });
+	});
+});
+
+suite('Deletion Safety', () => {
+	const linux = { platform: 'linux', env: {}, homeDir: '/home/dev' };
+	const roots = ['/home/dev/.nuget/packages', '/home/dev/Android/Sdk'];
+
+	test('Allows items inside a managed location', () => {
+		assert.strictEqual(core.getDeletionRefusal('/home/dev/.nuget/packages/newtonsoft.json/12.0.1', roots, linux), null);
+	});
+
+	test('Refuses a managed location itself and anything outside', () => {
+		assert.match(core.getDeletionRefusal('/home/dev/.nuget/packages', roots, linux), /outside/);
+		assert.match(core.getDeletionRefusal('/home/dev/.nuget/packages-old', roots, linux), /outside/);
+		assert.match(core.getDeletionRefusal('/home/dev/Projects', roots, linux), /outside/);
+	});
+
+	test('Refuses roots, the home folder and system folders', () => {
+		assert.match(core.getDeletionRefusal('/', ['/'], linux), /root/);
+		assert.match(core.getDeletionRefusal('/home/dev', ['/home'], linux), /\/home\/dev/);
+		assert.match(core.getDeletionRefusal('/System', ['/'], { ...linux, platform: 'darwin' }), /\/System/);
+	});
+});
+
+suite('Removing Items', () => {
+	let root;
+	let allowedRoot;
+
+	// Creates a folder holding a single file of 10 bytes
+	function createFolder(...segments) {
+		const folder = path.join(root, ...segments);
+		fs.mkdirSync(folder, { recursive: true });
+		fs.writeFileSync(path.join(folder, 'data.bin'), Buffer.alloc(10));
+		return folder;
+	}
+
+	const itemAt = folderPath => ({ category: 'Test', label: path.basename(folderPath), path: folderPath });
+	const outcomes = results => results.map(({ item, status, reason }) => [item.label, status, reason]);
+
+	setup(() => {
+		root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-remove-')));
+		allowedRoot = path.join(root, 'cache');
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('Deletes allowed items and skips missing ones', async () => {
+		const kept = createFolder('cache', 'kept');
+		const removed = createFolder('cache', 'removed');
+		assert.strictEqual(await core.getFolderSize(allowedRoot), 20);
+
+		const results = await core.removeItems([itemAt(removed), itemAt(path.join(allowedRoot, 'missing'))], [allowedRoot]);
+		assert.deepStrictEqual(outcomes(results), [['removed', 'deleted', undefined], ['missing', 'skipped', 'it no longer exists']]);
+		assert.ok(!fs.existsSync(removed));
+		assert.ok(fs.existsSync(kept));
+		// The containing folder's cached size is dropped along with the item
+		assert.strictEqual(await core.getFolderSize(allowedRoot), 10);
+	});
+
+	test('Refuses the allowed root, anything outside and links leading outside', async () => {
+		createFolder('cache', 'kept');
+		const outside = createFolder('outside');
+		fs.symlinkSync(outside, path.join(allowedRoot, 'link'), 'dir');
+		let removeCalls = 0;
+		const results = await core.removeItems(
+			[itemAt(allowedRoot), itemAt(outside), itemAt(path.join(allowedRoot, 'link'))],
+			[allowedRoot],
+			async () => { removeCalls++; }
+		);
+		assert.deepStrictEqual(results.map(result => result.status), ['skipped', 'skipped', 'skipped']);
+		assert.ok(results.every(result => /outside/.test(result.reason)));
+		assert.strictEqual(removeCalls, 0);
+		assert.ok(fs.existsSync(path.join(outside, 'data.bin')));
+	});
+
+	test('Reports failures with their error code and carries on', async () => {
+		const denied = createFolder('cache', 'denied');
+		const broken = createFolder('cache', 'broken');
+		const removed = createFolder('cache', 'removed');
+		const results = await core.removeItems([itemAt(denied), itemAt(broken), itemAt(removed)], [allowedRoot], async item => {
+			if (item.path === denied) throw Object.assign(new Error('permission denied'), { code: 'EACCES' });
+			if (item.path === broken) throw new Error('uninstall failed');
+			await core.removePermanently(item);
+		});
+		assert.deepStrictEqual(outcomes(results), [
+			['denied', 'failed', 'EACCES: permission denied'],
+			['broken', 'failed', 'uninstall failed'],
+			['removed', 'deleted', undefined]
+		]);
+		assert.ok(fs.existsSync(denied));
+		assert.ok(!fs.existsSync(removed));
+	});
+});
+
+suite('Disk Usage Sidebar', () => {
+	const environmentNames = ['NUGET_PACKAGES', 'ANDROID_HOME', 'ANDROID_SDK_ROOT', 'DOTNET_ROOT'];
+	const savedEnvironment = Object.fromEntries(environmentNames.map(name => [name, process.env[name]]));
+	let savedWorkspace;
+	let root;
+
+	setup(() => {
+		root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-sidebar-')));
+		const folders = [
+			'workspace/App/bin/Debug',
+			'workspace/App/obj/Debug',
+			'packages/newtonsoft.json/13.0.3',
+			'sdk/platforms/android-34',
+			'dotnet/packs/Microsoft.Maui.Sdk/9.0.10',
+			'dotnet/packs/Microsoft.NETCore.App.Ref/8.0.0',
+			'dotnet/packs/Microsoft.NETCore.App.Ref/9.0.0'
+		];
+		for (const folder of folders) {
+			fs.mkdirSync(path.join(root, folder), { recursive: true });
+		}
+		fs.writeFileSync(path.join(root, 'workspace/App/App.csproj'), '<Project Sdk="Microsoft.NET.Sdk"><PropertyGroup><TargetFramework>net9.0</TargetFramework></PropertyGroup></Project>');
+		process.env.NUGET_PACKAGES = path.join(root, 'packages');
+		process.env.ANDROID_HOME = path.join(root, 'sdk');
+		delete process.env.ANDROID_SDK_ROOT;
+		process.env.DOTNET_ROOT = path.join(root, 'dotnet');
+		savedWorkspace = core.getWorkspace();
+		core.configure({ workspace: core.createDirectoryWorkspace(path.join(root, 'workspace')) });
+	});
+
+	teardown(() => {
+		core.configure({ workspace: savedWorkspace });
+		for (const [name, value] of Object.entries(savedEnvironment)) {
+			if (value === undefined) delete process.env[name];
+			else process.env[name] = value;
+		}
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('Offers only nodes the deletion safety checks allow', async () => {
+		const allowedRoots = (await core.getManagedLocations()).map(location => location.path);
+		const deletableLabels = [];
+		const visit = async nodes => {
+			for (const node of nodes) {
+				if (node.cleanupItems) {
+					deletableLabels.push(node.label);
+					for (const item of node.cleanupItems) {
+						assert.strictEqual(core.getDeletionRefusal(fs.realpathSync(item.path), allowedRoots), null, item.path);
+					}
+				}
+				if (node.loadChildren) await visit(await node.loadChildren());
+			}
+		};
+		await visit(core.getDiskUsageCategories({ platform: 'linux', env: process.env, homeDir: root }));
+
+		assert.ok(!deletableLabels.includes('Global packages'));
+		for (const label of ['App.csproj', 'newtonsoft.json', 'newtonsoft.json 13.0.3', 'android-34', 'Microsoft.Maui.Sdk 9.0.10']) {
+			assert.ok(deletableLabels.includes(label), label);
+		}
+	});
+
+	test('Warns before deleting packs the workspace requires', async () => {
+		const childrenOf = async (nodes, label) => nodes.find(node => node.label === label).loadChildren();
+		const categoryNodes = await childrenOf(core.getDiskUsageCategories({ platform: 'linux', env: process.env, homeDir: root }), '.NET Packs');
+		// Other .NET installations on the machine put the fixture's packs under a node of their own
+		const fixtureNode = categoryNodes.find(node => node.path === path.join(root, 'dotnet', 'packs'));
+		const packs = fixtureNode ? await fixtureNode.loadChildren() : categoryNodes;
+		const refPack = packs.find(node => node.label === 'Microsoft.NETCore.App.Ref');
+		assert.match(refPack.warning, /Versions 9\.0\.0 are required/);
+		assert.strictEqual(packs.find(node => node.label === 'Microsoft.Maui.Sdk').warning, undefined);
+
+		const versions = await refPack.loadChildren();
+		assert.deepStrictEqual(versions.map(node => [node.label, Boolean(node.warning)]), [
+			['Microsoft.NETCore.App.Ref 8.0.0', false],
+			['Microsoft.NETCore.App.Ref 9.0.0', true]
+		]);
+	});
+});
+
+suite('Locking Processes', () => {
+	const namesOf = commandLines => core.findLockingProcesses(commandLines).map(running => running.name);
+
+	test('Recognizes build servers, emulators and IDEs', () => {
+		assert.deepStrictEqual(namesOf([
+			'/usr/share/dotnet/dotnet /usr/share/dotnet/sdk/9.0.100/MSBuild.dll /nologo /nodemode:1 /nodeReuse:true',
+			'"C:\\Program Files\\dotnet\\dotnet.exe" exec "C:\\Program Files\\dotnet\\sdk\\9.0.100\\Roslyn\\bincore\\VBCSCompiler.dll" -pipename:abc',
+			'/Users/dev/Library/Android/sdk/emulator/qemu/darwin-aarch64/qemu-system-aarch64 -avd Pixel_7',
+			'adb -L tcp:5037 fork-server server --reply-fd 4',
+			'/Applications/Rider.app/Contents/MacOS/rider'
+		]), ['MSBuild', 'VBCSCompiler', 'Android Emulator', 'adb', 'Rider']);
+	});
+
+	test('Ignores dotnet processes that do not build', () => {
+		assert.deepStrictEqual(namesOf([
+			'dotnet /home/dev/.vscode/extensions/ms-dotnettools.csharp/.roslyn/Microsoft.CodeAnalysis.LanguageServer.dll',
+			'dotnet /home/dev/.vscode/extensions/ms-dotnettools.csharp/.roslyn/BuildHost-netcore/Microsoft.CodeAnalysis.Workspaces.MSBuild.BuildHost.dll',
+			'grep adb'
+		]), []);
+		assert.deepStrictEqual(namesOf(['dotnet build -t:Run -f net9.0-android']), ['dotnet']);
+	});
+
+	test('Finds items that are a whole location or inside one', () => {
+		const linux = { platform: 'linux', env: {}, homeDir: '/home/dev' };
+		/** @type {import('../core').ManagedLocation[]} */
+		const locations = [{ category: 'nugetPackages', path: '/home/dev/.local/share/NuGet/http-cache' }];
+		const location = item => core.findItemLocation(item, locations, linux);
+		assert.strictEqual(location({ category: 'NuGet', label: 'http-cache', path: '/home/dev/.local/share/NuGet/http-cache' }), locations[0]);
+		assert.strictEqual(location({ category: 'NuGet', label: 'v3', path: '/home/dev/.local/share/NuGet/http-cache/v3' }), locations[0]);
+		assert.strictEqual(location({ category: 'NuGet', label: 'temp', path: '/tmp/NuGetScratch' }), undefined);
+	});
+
+	test('Only expects adb to lock the platform tools', () => {
+		const linux = { platform: 'linux', env: {}, homeDir: '/home/dev' };
+		/** @type {import('../core').ManagedLocation[]} */
+		const locations = [{ category: 'androidSdk', path: '/home/dev/Android/Sdk' }];
+		const running = core.findLockingProcesses(['adb -L tcp:5037 fork-server server --reply-fd 4']);
+		const platformTools = { category: 'Android SDK', label: 'platform-tools', path: '/home/dev/Android/Sdk/platform-tools' };
+		const systemImage = { category: 'Android SDK', label: 'android-34', path: '/home/dev/Android/Sdk/system-images/android-34' };
+		const locked = core.findLockedItems([platformTools, systemImage], locations, running, linux);
+		assert.deepStrictEqual([...locked.keys()], [platformTools]);
+		assert.deepStrictEqual(locked.get(platformTools).map(locker => locker.name), ['adb']);
+	});
+});
+
+suite('Project Cleaning', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-solution-'));
+		for (const project of ['App', 'Core']) {
+			fs.mkdirSync(path.join(root, 'src', project), { recursive: true });
+			fs.writeFileSync(path.join(root, 'src', project, `${project}.csproj`), '<Project Sdk="Microsoft.NET.Sdk"></Project>');
+		}
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('Reads the projects of a .sln', async () => {
+		const solution = path.join(root, 'App.sln');
+		fs.writeFileSync(solution, [
+			'Microsoft Visual Studio Solution File, Format Version 12.00',
+			'Project("{9A19103F-16F7-4668-BE54-9A1E7A4F7556}") = "App", "src\\App\\App.csproj", "{11111111-1111-1111-1111-111111111111}"',
+			'EndProject',
+			'Project("{2150E333-8FDC-42A3-9474-1A3956D46DE8}") = "Solution Items", "Solution Items", "{22222222-2222-2222-2222-222222222222}"',
+			'EndProject'
+		].join('\r\n'));
+		assert.deepStrictEqual(await core.readSolutionProjects(solution), [path.join(root, 'src', 'App', 'App.csproj')]);
+	});
+
+	test('Reads the projects of a .slnx, including solution folders', async () => {
+		const solution = path.join(root, 'App.slnx');
+		fs.writeFileSync(solution, '<Solution><Folder Name="/libs/"><Project Path="src/Core/Core.csproj" /></Folder><Project Path="src/App/App.csproj" /></Solution>');
+		assert.deepStrictEqual(
+			(await core.readSolutionProjects(solution)).sort(),
+			[path.join(root, 'src', 'App', 'App.csproj'), path.join(root, 'src', 'Core', 'Core.csproj')]
+		);
+	});
+
+	test('Honours custom output paths of the project and Directory.Build.props', async () => {
+		fs.writeFileSync(path.join(root, 'Directory.Build.props'),
+			'<Project><PropertyGroup><BaseIntermediateOutputPath>$(MSBuildThisFileDirectory)artifacts\\obj\\$(MSBuildProjectName)\\</BaseIntermediateOutputPath></PropertyGroup></Project>');
+		fs.writeFileSync(path.join(root, 'src', 'App', 'App.csproj'),
+			'<Project Sdk="Microsoft.NET.Sdk"><PropertyGroup><BaseOutputPath>build\\bin\\</BaseOutputPath></PropertyGroup></Project>');
+		assert.deepStrictEqual(await core.getProjectOutputFolders(path.join(root, 'src', 'App', 'App.csproj')), [
+			path.join(root, 'src', 'App', 'build', 'bin'),
+			path.join(root, 'artifacts', 'obj', 'App')
+		]);
+	});
+
+	test('Lets projects use properties of Directory.Build.props', async () => {
+		fs.writeFileSync(path.join(root, 'Directory.Build.props'), [
+			'<Project>',
+			'<PropertyGroup><ArtifactsRoot>$(MSBuildThisFileDirectory)artifacts\\</ArtifactsRoot></PropertyGroup>',
+			'<PropertyGroup Condition="\'$(MSBuildProjectName)\' == \'Core\'"><ArtifactsRoot>$(MSBuildThisFileDirectory)libs\\</ArtifactsRoot></PropertyGroup>',
+			'</Project>'
+		].join('\n'));
+		for (const project of ['App', 'Core']) {
+			fs.writeFileSync(path.join(root, 'src', project, `${project}.csproj`),
+				'<Project Sdk="Microsoft.NET.Sdk"><PropertyGroup><BaseOutputPath>$(ArtifactsRoot)bin\\$(MSBuildProjectName)</BaseOutputPath></PropertyGroup></Project>');
+		}
+		assert.deepStrictEqual((await core.getProjectOutputFolders(path.join(root, 'src', 'App', 'App.csproj')))[0], path.join(root, 'artifacts', 'bin', 'App'));
+		assert.deepStrictEqual((await core.getProjectOutputFolders(path.join(root, 'src', 'Core', 'Core.csproj')))[0], path.join(root, 'libs', 'bin', 'Core'));
+
+		// The props file does not see properties the project sets after it
+		const props = await core.evaluateMsBuildProperties(path.join(root, 'Directory.Build.props'), { MSBuildProjectName: 'App' });
+		assert.strictEqual(props.ArtifactsRoot, `${root}${path.sep}artifacts\\`);
+		assert.ok(!('MSBuildThisFileDirectory' in props));
+	});
+
+	test('Falls back to bin and obj when the properties cannot be evaluated', async () => {
+		const projectDir = path.join(root, 'src', 'App');
+		const defaults = [path.join(projectDir, 'bin'), path.join(projectDir, 'obj')];
+
+		// Unresolved properties, folders containing the project and unreadable files are ignored
+		fs.writeFileSync(path.join(projectDir, 'App.csproj'),
+			'<Project Sdk="Microsoft.NET.Sdk"><PropertyGroup><BaseOutputPath>$(UndefinedRoot)bin</BaseOutputPath></PropertyGroup></Project>');
+		assert.deepStrictEqual(await core.getProjectOutputFolders(path.join(projectDir, 'App.csproj')), defaults);
+
+		fs.writeFileSync(path.join(projectDir, 'App.csproj'),
+			'<Project Sdk="Microsoft.NET.Sdk"><PropertyGroup><BaseOutputPath>..\\</BaseOutputPath></PropertyGroup></Project>');
+		assert.deepStrictEqual(await core.getProjectOutputFolders(path.join(projectDir, 'App.csproj')), [path.join(projectDir, 'obj')]);
+
+		fs.writeFileSync(path.join(projectDir, 'App.csproj'), '<Project Sdk="Microsoft.NET.Sdk"><PropertyGroup>');
+		const properties = { MSBuildProjectName: 'App' };
+		assert.deepStrictEqual(await core.evaluateMsBuildProperties(path.join(projectDir, 'App.csproj'), properties), properties);
+		assert.deepStrictEqual(await core.getProjectOutputFolders(path.join(projectDir, 'App.csproj')), defaults);
+	});
+
+	test('Finds Android and iOS simulator intermediates below obj', () => {
+		const obj = path.join(root, 'src', 'App', 'obj');
+		for (const folder of ['Debug/net9.0-android/android', 'Debug/net9.0-ios/iossimulator-arm64', 'Debug/net9.0-ios/ios-arm64']) {
+			fs.mkdirSync(path.join(obj, folder), { recursive: true });
+		}
+		assert.deepStrictEqual(
+			core.findPlatformIntermediates(obj).map(folder => path.relative(obj, folder)).sort(),
+			[path.join('Debug', 'net9.0-android', 'android'), path.join('Debug', 'net9.0-ios', 'iossimulator-arm64')]
+		);
+	});
+
+	test('Counts the intermediates of a deep clean once, as part of obj', async () => {
+		const projectFile = path.join(root, 'src', 'App', 'App.csproj');
+		fs.mkdirSync(path.join(root, 'src', 'App', 'bin'));
+		fs.mkdirSync(path.join(root, 'src', 'App', 'obj', 'Debug', 'net9.0-android', 'android'), { recursive: true });
+		const plan = await core.collectDeepCleanPlan([projectFile], projectFile);
+		assert.ok(plan.some(item => item.path.endsWith(path.join('obj', 'Debug', 'net9.0-android', 'android'))));
+		assert.deepStrictEqual(
+			core.removeNestedItems(plan).map(item => path.relative(root, item.path)).sort(),
+			[path.join('src', 'App', 'bin'), path.join('src', 'App', 'obj')]
+		);
+	});
+});
+
+suite('Cleanup Tasks', () => {
+	let savedWorkspace;
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-tasks-'));
+		for (const folder of ['App/bin/Debug', 'App/obj/Debug']) {
+			fs.mkdirSync(path.join(root, folder), { recursive: true });
+		}
+		fs.writeFileSync(path.join(root, 'App', 'App.csproj'), '<Project Sdk="Microsoft.NET.Sdk"></Project>');
+		savedWorkspace = core.getWorkspace();
+		core.configure({ workspace: core.createDirectoryWorkspace(root) });
+	});
+
+	teardown(() => {
+		core.configure({ workspace: savedWorkspace });
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('Plans bin/obj and profile tasks', async () => {
+		const binObj = await core.buildTaskPlan({ task: 'binobj' }, []);
+		assert.deepStrictEqual(binObj.map(item => path.relative(root, item.path)).sort(), [path.join('App', 'bin'), path.join('App', 'obj')]);
+
+		const profiles = [{ name: 'Output', categories: ['binObj'] }];
+		const profile = await core.buildTaskPlan({ task: 'profile', profile: 'Output' }, profiles);
+		assert.deepStrictEqual(profile.map(item => item.path).sort(), binObj.map(item => item.path).sort());
+	});
+
+	test('Rejects unknown tasks and profiles', async () => {
+		await assert.rejects(core.buildTaskPlan({ task: 'profile', profile: 'Missing' }, []), /"Missing" is not defined/);
+		await assert.rejects(core.buildTaskPlan({ task: 'profile' }, []), /Unknown task "profile"/);
+		await assert.rejects(core.buildTaskPlan({ task: 'nuget' }, []), /Unknown task "nuget"/);
+	});
+
+	test('Names tasks after their definition', () => {
+		assert.strictEqual(core.getTaskName({ task: 'binobj' }), 'binobj');
+		assert.strictEqual(core.getTaskName({ task: 'profile', profile: 'Before release' }), 'profile Before release');
+	});
+});
+
+suite('Extension API', () => {
+	const savedPackages = process.env.NUGET_PACKAGES;
+	let packagesPath;
+	let api;
+
+	suiteSetup(async () => {
+		api = await vscode.extensions.getExtension('banditoth.VSCode-MAUI-DevCleaner').activate();
+	});
+
+	setup(() => {
+		packagesPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-api-')));
+		for (const version of ['12.0.1', '13.0.3']) {
+			fs.mkdirSync(path.join(packagesPath, 'newtonsoft.json', version), { recursive: true });
+			fs.writeFileSync(path.join(packagesPath, 'newtonsoft.json', version, 'newtonsoft.json.nupkg'), Buffer.alloc(10));
+		}
+		process.env.NUGET_PACKAGES = packagesPath;
+	});
+
+	teardown(() => {
+		if (savedPackages === undefined) delete process.env.NUGET_PACKAGES;
+		else process.env.NUGET_PACKAGES = savedPackages;
+		fs.rmSync(packagesPath, { recursive: true, force: true });
+	});
+
+	test('Plans without removing anything', async () => {
+		const plan = await api.plan({ categories: ['nugetPackages'], keepCount: 1 });
+		assert.deepStrictEqual(plan.items.map(item => [item.category, item.label, item.sizeBytes]), [['NuGet Packages', 'newtonsoft.json 12.0.1', 10]]);
+		assert.strictEqual(plan.sizeBytes, 10);
+		assert.ok(fs.existsSync(plan.items[0].path));
+	});
+
+	test('Executes a plan and reports the outcome of every item', async () => {
+		const plan = await api.plan({ categories: ['nugetPackages'], keepCount: 1 });
+		const outside = { category: 'NuGet Packages', label: 'outside', path: path.dirname(packagesPath), sizeBytes: 0 };
+		const result = await api.execute({ items: [...plan.items, outside] }, { command: 'API test' });
+
+		assert.strictEqual(result.dryRun, false);
+		assert.strictEqual(result.removedCount, 1);
+		assert.strictEqual(result.sizeBytes, 10);
+		assert.deepStrictEqual(result.results.map(entry => [entry.label, entry.status]), [['newtonsoft.json 12.0.1', 'deleted'], ['outside', 'skipped']]);
+		assert.match(result.results[1].reason, /outside/);
+		assert.ok(!fs.existsSync(path.join(packagesPath, 'newtonsoft.json', '12.0.1')));
+		assert.ok(fs.existsSync(path.join(packagesPath, 'newtonsoft.json', '13.0.3')));
+	});
+});
+
+suite('Command Line', () => {
+	const cli = require('../cli');
+
+	// Runs the command line tool, capturing what it prints
+	async function run(...argv) {
+		const output = { stdout: '', stderr: '' };
+		const exitCode = await cli.main(argv, {
+			stdout: { write: text => { output.stdout += text; } },
+			stderr: { write: text => { output.stderr += text; } }
+		});
+		return { exitCode, ...output };
+	}
+
+	test('Keeps the core free of vscode', () => {
+		const source = fs.readFileSync(path.join(__dirname, '..', 'core.js'), 'utf8');
+		assert.ok(!/require\(['"]vscode['"]\)/.test(source));
+	});
+
+	test('Prints the usage and exits with 0 for --help', async () => {
+		const result = await run('--help');
+		assert.strictEqual(result.exitCode, 0);
+		assert.match(result.stdout, /^Usage: node cli\.js <scan\|plan\|clean>/);
+	});
+
+	test('Exits with 2 for invalid command lines', async () => {
+		for (const argv of [[], ['purge'], ['plan', '--keep', 'two'], ['scan', '--category', 'bin'], ['clean', '--force']]) {
+			const result = await run(...argv);
+			assert.strictEqual(result.exitCode, 2, argv.join(' '));
+			assert.strictEqual(result.stdout, '');
+		}
+	});
+});
+
+suite('Legacy Xamarin Leftovers', () => {
+	let home;
+
+	setup(() => {
+		home = fs.mkdtempSync(path.join(os.tmpdir(), 'maui-cleaner-xamarin-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(home, { recursive: true, force: true });
+	});
+
+	test('Looks in LOCALAPPDATA on Windows', () => {
+		const host = { platform: 'win32', env: { LOCALAPPDATA: 'C:\\Users\\dev\\AppData\\Local' }, homeDir: 'C:\\Users\\dev' };
+		assert.deepStrictEqual(
+			core.getLegacyXamarinLocations(host).map(location => location.name),
+			['XamarinBuildDownload cache', 'Xamarin data']
+		);
+	});
+
+	test('Lists the Xamarin data entries and never pre-selects the debug keystore', () => {
+		const dataFolder = path.join(home, '.local', 'share', 'Xamarin');
+		fs.mkdirSync(path.join(dataFolder, 'Mono for Android'), { recursive: true });
+		fs.mkdirSync(path.join(dataFolder, 'zips'));
+
+		const items = core.listLegacyXamarinItems({ platform: 'linux', env: {}, homeDir: home });
+		assert.deepStrictEqual(
+			items.map(item => [item.category, item.label, Boolean(item.caution)]).sort(),
+			[['Xamarin data', 'Mono for Android', true], ['Xamarin data', 'zips', false]]
+		);
+	});
+
+	test('Recognizes non-SDK-style projects that import the Xamarin targets', () => {
+		const legacy = path.join(home, 'Legacy.Android.csproj');
+		fs.writeFileSync(legacy, '<Project ToolsVersion="15.0"><Import Project="$(MSBuildExtensionsPath)\\Xamarin\\Android\\Xamarin.Android.CSharp.targets" /></Project>');
+		const sdkStyle = path.join(home, 'App.csproj');
+		fs.writeFileSync(sdkStyle, '<Project Sdk="Microsoft.NET.Sdk"><PackageReference Include="Xamarin.AndroidX.Core" /></Project>');
+
+		assert.strictEqual(core.isLegacyXamarinProject(legacy), true);
+		assert.strictEqual(core.isLegacyXamarinProject(sdkStyle), false);
+	});
 });